@@ -0,0 +1,99 @@
+// Pool math of SimpleSwap
+//
+// Exact BigInt mirrors of the contract's formulas, rounding down where Solidity's
+// integer division does and failing with the contract's revert reasons, so previews
+// match what a transaction does. Also loaded by the Hardhat tasks and tests
+// through scripts/amm.cjs.
+
+/**
+ * Output of swapping `amountIn` against the pool, SimpleSwap.getAmountOut (no fee)
+ */
+function getAmountOut(amountIn, reserveIn, reserveOut) {
+  if (amountIn <= 0n) throw new Error("ZERO_IN");
+  if (reserveIn <= 0n || reserveOut <= 0n) throw new Error("ZERO_RESERVES");
+  return (amountIn * reserveOut) / (amountIn + reserveIn);
+}
+
+/**
+ * Smallest input whose getAmountOut is at least `amountOut`
+ * The pool can never pay out its whole reserve, so `amountOut` must be below `reserveOut`
+ */
+function getAmountIn(amountOut, reserveIn, reserveOut) {
+  if (amountOut <= 0n) throw new Error("ZERO_OUT");
+  if (reserveIn <= 0n || reserveOut <= 0n) throw new Error("ZERO_RESERVES");
+  if (amountOut >= reserveOut) throw new Error("EXCESSIVE_OUT");
+  const numerator = amountOut * reserveIn;
+  const denominator = reserveOut - amountOut;
+  return (numerator + denominator - 1n) / denominator;
+}
+
+/**
+ * Amount of the other token matching `amount` at the pool ratio, the optimal amount of addLiquidity
+ */
+function quoteLiquidityAmount(amount, reserveFrom, reserveTo) {
+  return (amount * reserveTo) / reserveFrom;
+}
+
+/**
+ * Integer square root rounded down, SimpleSwap._sqrt
+ */
+function sqrtFloor(y) {
+  if (y <= 3n) return y === 0n ? 0n : 1n;
+  let z = y;
+  let x = y / 2n + 1n;
+  while (x < z) {
+    z = x;
+    x = (y / x + x) / 2n;
+  }
+  return z;
+}
+
+/**
+ * TokenA/TokenB that addLiquidity takes for the desired amounts: both as is for the
+ * first deposit, otherwise all of one side and the optimal amount of the other
+ * Fails with "LB"/"LA" like the contract when the optimal amount is below its minimum
+ */
+function getDepositAmounts(amountADesired, amountBDesired, reserveA, reserveB, totalSupply, amountAMin = 0n, amountBMin = 0n) {
+  if (totalSupply === 0n) return { amountA: amountADesired, amountB: amountBDesired };
+
+  const amountBOptimal = quoteLiquidityAmount(amountADesired, reserveA, reserveB);
+  if (amountBOptimal <= amountBDesired) {
+    if (amountBOptimal < amountBMin) throw new Error("LB");
+    return { amountA: amountADesired, amountB: amountBOptimal };
+  }
+  const amountAOptimal = quoteLiquidityAmount(amountBDesired, reserveB, reserveA);
+  if (amountAOptimal < amountAMin) throw new Error("LA");
+  return { amountA: amountAOptimal, amountB: amountBDesired };
+}
+
+/**
+ * SSLP minted for depositing `amountA` and `amountB`: sqrt(amountA * amountB) for the
+ * first deposit, otherwise the smaller share of the supply either amount is worth
+ */
+function getLiquidityMinted(amountA, amountB, reserveA, reserveB, totalSupply) {
+  if (totalSupply === 0n) return sqrtFloor(amountA * amountB);
+  const liquidityA = (amountA * totalSupply) / reserveA;
+  const liquidityB = (amountB * totalSupply) / reserveB;
+  return liquidityA < liquidityB ? liquidityA : liquidityB;
+}
+
+/**
+ * Complete addLiquidity outcome: the amounts taken and the SSLP minted
+ * Fails with "NL" like the contract when the deposit mints nothing
+ */
+function getAddLiquidityResult(amountADesired, amountBDesired, reserveA, reserveB, totalSupply, amountAMin = 0n, amountBMin = 0n) {
+  const { amountA, amountB } = getDepositAmounts(amountADesired, amountBDesired, reserveA, reserveB, totalSupply, amountAMin, amountBMin);
+  const liquidity = getLiquidityMinted(amountA, amountB, reserveA, reserveB, totalSupply);
+  if (liquidity === 0n) throw new Error("NL");
+  return { amountA, amountB, liquidity };
+}
+
+/**
+ * TokenA/TokenB paid out by removeLiquidity for burning `liquidity` SSLP, pro rata to the supply
+ */
+function getWithdrawAmounts(liquidity, reserveA, reserveB, totalSupply) {
+  return {
+    amountA: (liquidity * reserveA) / totalSupply,
+    amountB: (liquidity * reserveB) / totalSupply,
+  };
+}
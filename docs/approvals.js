@@ -0,0 +1,133 @@
+// Token approvals: exact vs unlimited allowance and the token settings view
+
+/**
+ * Largest uint256, the conventional "unlimited" allowance
+ */
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+/**
+ * localStorage key holding the approval mode ("exact" or "unlimited")
+ */
+const APPROVAL_MODE_KEY = "SwapApprovalMode";
+
+/**
+ * Returns the approval mode chosen in the token settings, exact by default
+ */
+function getApprovalMode() {
+  return getFromLocalStorage(APPROVAL_MODE_KEY) === "unlimited" ? "unlimited" : "exact";
+}
+
+/**
+ * Stores the approval mode picked in the token settings
+ */
+function setApprovalMode(mode) {
+  saveToLocalStorage(APPROVAL_MODE_KEY, mode);
+}
+
+/**
+ * Allowance to request for spending `amount`, according to the approval mode
+ */
+function getApprovalAmount(amount) {
+  return getApprovalMode() === "unlimited" ? MAX_UINT256 : amount;
+}
+
+/**
+ * Formats an allowance, showing unlimited approvals as such
+ */
+function formatAllowance(allowance, decimals) {
+  return allowance >= MAX_UINT256 / 2n ? t("settings.unlimited") : formatDisplay(allowance, decimals);
+}
+
+/**
+ * Sends approve(exchange, amount) for a token through the transaction tracker
+ * Resolves with the settled transaction record
+ */
+function approveExchange(token, amount, target) {
+  const label = amount === 0n ? "Revoke" : "Approve";
+  const description = `${formatAllowance(amount, token.decimals)} ${token.name}`;
+
+  return submitTransaction(
+    prepareWrite(token, "approve", [exchange_address, amount]),
+    label,
+    description,
+    {
+      target,
+      describeResult: () => (amount === 0n ? t("settings.revokeResult", { token: token.name }) : t("settings.allow", { amount: description })),
+    }
+  );
+}
+
+/**
+ * Opens the token settings with the approval mode and current allowances
+ */
+async function openTokenSettings() {
+  document.getElementById(getApprovalMode() === "unlimited" ? "approval-unlimited" : "approval-exact").checked = true;
+  document.getElementById("token-settings").classList.remove("hidden");
+  await renderTokenSettings();
+}
+
+/**
+ * Closes the token settings
+ */
+function closeTokenSettings() {
+  document.getElementById("token-settings").classList.add("hidden");
+  hidePreflight("settings");
+}
+
+/**
+ * Lists the exchange allowance of each token with a revoke button
+ */
+async function renderTokenSettings() {
+  const list = document.getElementById("allowance-list");
+  list.innerHTML = "";
+
+  if (!address || !deploymentReady) {
+    list.textContent = t("settings.connect");
+    return;
+  }
+
+  for (const token of getPoolTokens()) {
+    const row = document.createElement("label");
+    row.className = "swap-detail";
+    row.textContent = token.name;
+
+    const value = document.createElement("div");
+    value.className = "swap-detail-value";
+
+    try {
+      const allowance = await getExchangeAllowance(token);
+      value.textContent = formatAllowance(allowance, token.decimals) + " ";
+
+      const revoke = document.createElement("button");
+      revoke.className = "revoke-button";
+      revoke.textContent = t("settings.revoke");
+      revoke.disabled = allowance === 0n;
+      revoke.onclick = () => revokeAllowance(token);
+      value.appendChild(revoke);
+    } catch (error) {
+      console.error("Failed to read allowance:", error);
+      value.textContent = "-";
+    }
+
+    row.appendChild(value);
+    list.appendChild(row);
+  }
+}
+
+/**
+ * Sets the exchange allowance of a token back to zero
+ */
+async function revokeAllowance(token) {
+  if (!requireDeployment()) return;
+
+  try {
+    const { status } = await approveExchange(token, 0n, "settings");
+    if (status === "confirmed") {
+      await checkAllowance();
+      await updateAddLiquidityButton();
+      await renderTokenSettings();
+    }
+  } catch (error) {
+    showError("Revoke error", error, t("settings.revokeFailed"), { action: "approve", token });
+  }
+}
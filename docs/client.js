@@ -0,0 +1,148 @@
+// Chain client: the one ethers-backed layer the dApp talks to the chain through
+//
+// Contracts are passed around as plain { address, abi } targets; reads return
+// BigInt amounts, writes are simulated and sent from the connected account.
+
+/**
+ * ethers BrowserProvider over the wallet in use
+ */
+let provider;
+
+/**
+ * ethers Contract instances already built, keyed by address
+ */
+const contractCache = new Map();
+
+/**
+ * Interface with the errors of every contract ABI, used to decode revert data
+ */
+let errorInterface;
+
+/**
+ * Points the client at an EIP-1193 provider. "any" lets the wallet change
+ * chains under us; the dApp reloads its state on chainChanged instead
+ */
+function connectClient(eip1193Provider) {
+  provider = new ethers.BrowserProvider(eip1193Provider, "any");
+  contractCache.clear();
+}
+
+/**
+ * Returns a read-only ethers Contract for a target
+ */
+function getContract({ address: contractAddress, abi }) {
+  const key = contractAddress.toLowerCase();
+  if (!contractCache.has(key)) {
+    contractCache.set(key, new ethers.Contract(contractAddress, abi, provider));
+  }
+  return contractCache.get(key);
+}
+
+/**
+ * Calls a view function of a target contract
+ */
+function readContract(target, method, args = []) {
+  return getContract(target)[method](...args);
+}
+
+/**
+ * Describes a state-changing call without sending it; simulateWrite() and sendWrite() take the result
+ */
+function prepareWrite(target, method, args = []) {
+  return { target, method, args };
+}
+
+/**
+ * Runs a prepared write with eth_call and estimates its gas against the latest block
+ * Throws the revert error when the call would fail
+ */
+async function simulateWrite({ target, method, args }, from) {
+  const contractMethod = getContract(target)[method];
+  const result = await contractMethod.staticCall(...args, { from, blockTag: "latest" });
+  const gas = await contractMethod.estimateGas(...args, { from });
+  return { result, gas };
+}
+
+/**
+ * Sends a prepared write from `from` through the wallet and resolves with its hash and nonce
+ */
+async function sendWrite({ target, method, args }, from) {
+  const signer = await provider.getSigner(from);
+  const response = await getContract(target).connect(signer)[method](...args);
+  return { hash: response.hash, nonce: response.nonce };
+}
+
+/**
+ * Current gas price in wei, from the fee data the node reports
+ */
+async function getGasPrice() {
+  const feeData = await provider.getFeeData();
+  return feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+}
+
+/**
+ * Queries events of a target contract in a block range
+ * `filter` maps indexed argument names to the values to match, e.g. { sender: address }
+ */
+function queryEvents(target, eventName, filter, fromBlock, toBlock) {
+  const contract = getContract(target);
+  const fragment = contract.interface.getEvent(eventName);
+  const topics = fragment.inputs.map(input => (input.indexed && filter[input.name] !== undefined ? filter[input.name] : null));
+  return contract.queryFilter(contract.filters[eventName](...topics), fromBlock, toBlock);
+}
+
+/**
+ * Raw logs of one or more addresses in a block range
+ */
+function getLogs(fromBlock, toBlock, addresses) {
+  return provider.getLogs({ fromBlock, toBlock, address: addresses });
+}
+
+/**
+ * Calls `onBlock` for new blocks, through an eth_subscribe newHeads subscription
+ * when the wallet supports it and by polling the block number every `interval` ms otherwise
+ * Resolves with a function that ends the subscription
+ */
+async function subscribeNewBlocks(eip1193Provider, onBlock, interval) {
+  if (eip1193Provider.on) {
+    try {
+      const subscription = await eip1193Provider.request({ method: "eth_subscribe", params: ["newHeads"] });
+      const listener = message => {
+        if (message.type === "eth_subscription" && message.data.subscription === subscription) onBlock();
+      };
+      eip1193Provider.on("message", listener);
+
+      return async () => {
+        if (eip1193Provider.removeListener) eip1193Provider.removeListener("message", listener);
+        try {
+          await eip1193Provider.request({ method: "eth_unsubscribe", params: [subscription] });
+        } catch (error) {
+          // The wallet may already have dropped it on chain change
+          console.warn("Failed to close newHeads subscription:", error);
+        }
+      };
+    } catch (error) {
+      console.warn("newHeads subscription not supported, polling instead:", error);
+    }
+  }
+
+  const timer = setInterval(onBlock, interval);
+  return async () => clearInterval(timer);
+}
+
+/**
+ * Decodes revert data against Error(string), Panic(uint256) and the custom errors
+ * of every contract ABI. Returns an ethers ErrorDescription, or null if unknown
+ */
+function decodeErrorData(data) {
+  if (!errorInterface) {
+    const errors = new Map();
+    for (const abi of Object.values(contract_abis)) {
+      for (const item of abi) {
+        if (item.type === "error") errors.set(item.name, item);
+      }
+    }
+    errorInterface = new ethers.Interface([...errors.values()]);
+  }
+  return errorInterface.parseError(data);
+}
@@ -0,0 +1,228 @@
+// Transaction history from SwapExecuted / LiquidityAdded / LiquidityRemoved events
+
+/**
+ * Number of blocks queried per history page
+ */
+const HISTORY_BLOCK_RANGE = 5000n;
+
+/**
+ * keccak256("Transfer(address,address,uint256)")
+ */
+const TRANSFER_TOPIC = "0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef";
+
+/**
+ * History entries of the connected account, newest first
+ */
+let historyEntries = [];
+
+/**
+ * Lowest block already loaded; older pages start right below it
+ */
+let historyFromBlock;
+
+/**
+ * Highest block already loaded; polling starts right above it
+ */
+let historyToBlock;
+
+/**
+ * Block timestamps already fetched, keyed by block number
+ */
+const blockTimestamps = new Map();
+
+/**
+ * Loads the latest page of history for the connected account
+ * New events are appended by pollHistory() as the pool watcher sees new blocks
+ */
+async function loadHistory() {
+  historyEntries = [];
+
+  try {
+    historyToBlock = BigInt(await provider.getBlockNumber());
+    historyFromBlock = historyToBlock + 1n;
+    await loadOlderHistory();
+  } catch (error) {
+    console.error("Failed to load history:", error);
+    showToast(t("history.loadFailed"), "red");
+  }
+}
+
+/**
+ * Loads the next page of older events, down to the pool's deployment block
+ */
+async function loadOlderHistory() {
+  const startBlock = BigInt(deployment.startBlock || 0);
+  if (historyFromBlock <= startBlock) return;
+
+  const toBlock = historyFromBlock - 1n;
+  const fromBlock = toBlock - HISTORY_BLOCK_RANGE + 1n > startBlock ? toBlock - HISTORY_BLOCK_RANGE + 1n : startBlock;
+
+  try {
+    const entries = await fetchHistory(fromBlock, toBlock);
+    historyFromBlock = fromBlock;
+    historyEntries = historyEntries.concat(entries);
+    renderHistory();
+  } catch (error) {
+    console.error("Failed to load older history:", error);
+    showToast(t("history.loadFailed"), "red");
+  }
+}
+
+/**
+ * Prepends events mined since the last query
+ */
+async function pollHistory() {
+  if (!address || !deploymentReady || historyToBlock === undefined) return;
+
+  try {
+    const latest = BigInt(await provider.getBlockNumber());
+    if (latest <= historyToBlock) return;
+
+    const entries = await fetchHistory(historyToBlock + 1n, latest);
+    historyToBlock = latest;
+    if (entries.length > 0) {
+      historyEntries = entries.concat(historyEntries);
+      renderHistory();
+    }
+  } catch (error) {
+    console.error("Failed to poll history:", error);
+  }
+}
+
+/**
+ * Queries the pool events of the connected account in a block range,
+ * using the indexed sender/to/provider topics, newest first
+ */
+async function fetchHistory(fromBlock, toBlock) {
+  const [from, to] = [Number(fromBlock), Number(toBlock)];
+  const [sent, received, added, removed] = await Promise.all([
+    queryEvents(swapInstance, "SwapExecuted", { sender: address }, from, to),
+    queryEvents(swapInstance, "SwapExecuted", { to: address }, from, to),
+    queryEvents(swapInstance, "LiquidityAdded", { provider: address }, from, to),
+    queryEvents(swapInstance, "LiquidityRemoved", { provider: address }, from, to),
+  ]);
+
+  // A swap to yourself matches both the sender and the to filter
+  const seen = new Set();
+  const events = [...sent, ...received, ...added, ...removed].filter(event => {
+    const key = event.transactionHash + ":" + event.index;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  events.sort((a, b) => {
+    if (a.blockNumber !== b.blockNumber) return b.blockNumber - a.blockNumber;
+    return b.index - a.index;
+  });
+
+  return Promise.all(events.map(toHistoryEntry));
+}
+
+/**
+ * Converts a pool event into a displayable history entry
+ */
+async function toHistoryEntry(event) {
+  const values = event.args;
+  const entry = {
+    hash: event.transactionHash,
+    timestamp: await getBlockTimestamp(event.blockNumber),
+  };
+
+  if (event.eventName === "SwapExecuted") {
+    const tokenInIsA = await isSwapFromTokenA(event.transactionHash);
+    const [tokenIn, decimalsIn, tokenOut, decimalsOut] = tokenInIsA
+      ? ["TokenA", decimalsA, "TokenB", decimalsB]
+      : ["TokenB", decimalsB, "TokenA", decimalsA];
+
+    entry.kind = "Swap";
+    entry.describe = () => `${formatDisplay(values.amountIn, decimalsIn)} ${tokenIn} → ${formatDisplay(values.amountOut, decimalsOut)} ${tokenOut}`;
+  } else {
+    entry.kind = event.eventName === "LiquidityAdded" ? "Add" : "Remove";
+    entry.describe = () => `${formatDisplay(values.amountA, decimalsA)} TokenA + ${formatDisplay(values.amountB, decimalsB)} TokenB`;
+  }
+
+  return entry;
+}
+
+/**
+ * SwapExecuted carries no token addresses, so the direction is read
+ * from the receipt: the input token is the one transferred into the pool
+ */
+async function isSwapFromTokenA(hash) {
+  const receipt = await provider.getTransactionReceipt(hash);
+  const exchange = exchange_address.toLowerCase();
+
+  const transferIn = receipt.logs.find(log =>
+    log.topics[0] === TRANSFER_TOPIC && "0x" + log.topics[2].slice(26) === exchange
+  );
+  return !!transferIn && transferIn.address.toLowerCase() === tokena_address.toLowerCase();
+}
+
+/**
+ * Returns the timestamp of a block in milliseconds, cached per block
+ */
+async function getBlockTimestamp(blockNumber) {
+  const key = blockNumber.toString();
+  if (!blockTimestamps.has(key)) {
+    const block = await provider.getBlock(blockNumber);
+    blockTimestamps.set(key, Number(block.timestamp) * 1000);
+  }
+  return blockTimestamps.get(key);
+}
+
+/**
+ * Renders the history list and the "Load older" button
+ */
+function renderHistory() {
+  const list = document.getElementById("history-list");
+  const explorer = deployment && deployment.blockExplorerUrls[0];
+  list.innerHTML = "";
+
+  if (historyEntries.length === 0) {
+    list.textContent = address ? t("history.empty") : t("history.connect");
+  }
+
+  for (const entry of historyEntries) {
+    const row = document.createElement("div");
+    row.className = "history-entry";
+
+    const kind = document.createElement("span");
+    kind.className = "history-kind";
+    kind.textContent = t("kind." + entry.kind);
+
+    const description = document.createElement("span");
+    description.className = "history-description";
+    description.textContent = entry.describe();
+
+    const details = document.createElement("div");
+    details.className = "history-details";
+    details.textContent = formatDate(entry.timestamp) + " · ";
+
+    const link = document.createElement(explorer ? "a" : "span");
+    link.textContent = entry.hash.slice(0, 10) + "...";
+    if (explorer) {
+      link.href = `${explorer}/tx/${entry.hash}`;
+      link.target = "_blank";
+      link.rel = "noopener";
+    }
+    details.appendChild(link);
+
+    row.append(kind, description, details);
+    list.appendChild(row);
+  }
+
+  const startBlock = BigInt((deployment && deployment.startBlock) || 0);
+  const hasOlder = address && historyFromBlock !== undefined && historyFromBlock > startBlock;
+  document.getElementById("history-more").classList.toggle("hidden", !hasOlder);
+}
+
+/**
+ * Empties the history panel
+ */
+function clearHistory() {
+  historyEntries = [];
+  historyFromBlock = undefined;
+  historyToBlock = undefined;
+  renderHistory();
+}
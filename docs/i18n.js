@@ -0,0 +1,147 @@
+// Internationalisation: locale selection, message lookup and locale-aware formatting
+
+/**
+ * localStorage key holding the locale picked in the language switcher
+ */
+const LOCALE_STORAGE_KEY = "SwapLocale";
+
+/**
+ * Locale used when neither the user nor the browser asks for a supported one
+ */
+const DEFAULT_LOCALE = "en";
+
+/**
+ * Locale the UI is currently rendered in
+ */
+let locale = detectLocale();
+
+/**
+ * Group and decimal separators of the current locale, cached per locale
+ */
+let numberSymbols;
+
+window.addEventListener("DOMContentLoaded", () => {
+  renderLanguageSwitcher();
+  applyTranslations();
+});
+
+/**
+ * Returns the persisted locale, else the first supported browser language, else English
+ */
+function detectLocale() {
+  const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+  if (stored && LOCALES[stored]) return stored;
+
+  const languages = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+  for (const language of languages) {
+    const code = String(language || "").toLowerCase().split("-")[0];
+    if (LOCALES[code]) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Returns the message for `key` in the current locale with its {placeholders} filled from `params`
+ * Falls back to English, then to the key itself
+ */
+function t(key, params = {}) {
+  const template = LOCALES[locale][key] ?? LOCALES[DEFAULT_LOCALE][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/**
+ * Translates the static markup: text of [data-i18n], placeholder of
+ * [data-i18n-placeholder] and tooltip of [data-i18n-title] elements
+ */
+function applyTranslations(root = document) {
+  document.documentElement.lang = locale;
+
+  for (const element of root.querySelectorAll("[data-i18n]")) {
+    element.textContent = t(element.dataset.i18n);
+  }
+  for (const element of root.querySelectorAll("[data-i18n-placeholder]")) {
+    element.placeholder = t(element.dataset.i18nPlaceholder);
+  }
+  for (const element of root.querySelectorAll("[data-i18n-title]")) {
+    element.title = t(element.dataset.i18nTitle);
+  }
+}
+
+/**
+ * Fills the language switcher with every locale of the catalogue, named in its own language
+ */
+function renderLanguageSwitcher() {
+  const select = document.getElementById("language");
+  select.innerHTML = "";
+
+  for (const code of Object.keys(LOCALES)) {
+    const option = document.createElement("option");
+    option.value = code;
+    option.textContent = LOCALES[code]["language.name"];
+    select.appendChild(option);
+  }
+  select.value = locale;
+}
+
+/**
+ * Switches the UI to `code`, remembers the choice and re-renders
+ * everything already on screen in the new language and number format
+ */
+function setLocale(code) {
+  if (!LOCALES[code]) return;
+
+  locale = code;
+  numberSymbols = undefined;
+  saveToLocalStorage(LOCALE_STORAGE_KEY, code);
+
+  document.getElementById("language").value = code;
+  applyTranslations();
+  renderLocalizedState();
+}
+
+/**
+ * Group and decimal separators of the current locale, e.g. { group: ".", decimal: "," } for es
+ */
+function getNumberSymbols() {
+  if (!numberSymbols) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    numberSymbols = {
+      group: parts.find(part => part.type === "group").value,
+      decimal: parts.find(part => part.type === "decimal").value,
+    };
+  }
+  return numberSymbols;
+}
+
+/**
+ * Turns an amount typed in the locale's format ("1.000,5" in es) into the plain
+ * "1000.5" parseUnits() expects. Group separators count as such only every three
+ * digits of the whole part; otherwise the value is passed on as typed, so "1.5"
+ * still reads as 1.5 and misplaced separators ("1,5" in en) stay malformed
+ */
+function normalizeAmountInput(value) {
+  const { group, decimal } = getNumberSymbols();
+  const [whole, fraction, ...extra] = value.split(decimal);
+  if (extra.length > 0) return value;
+
+  const groups = whole.split(group);
+  const grouped = groups.length > 1 && /^\d{1,3}$/.test(groups[0]) && groups.slice(1).every(digits => /^\d{3}$/.test(digits));
+  const plainWhole = grouped ? groups.join("") : whole;
+  return fraction === undefined ? plainWhole : plainWhole + "." + fraction;
+}
+
+/**
+ * Formats base units for an amount input: exact, ungrouped and with the locale's
+ * decimal separator ("1000,5" in es), as normalizeAmountInput() reads it back
+ */
+function formatInputAmount(value, decimals) {
+  const { decimal } = getNumberSymbols();
+  return formatUnits(value, decimals).replace(".", decimal);
+}
+
+/**
+ * Formats a millisecond timestamp as a medium date and short time of the current locale
+ */
+function formatDate(timestamp) {
+  return new Intl.DateTimeFormat(locale, { dateStyle: "medium", timeStyle: "short" }).format(new Date(timestamp));
+}
@@ -0,0 +1,320 @@
+// Locale catalogue: every user-facing string of the dApp, keyed by locale
+//
+// Messages may contain {placeholders} filled by t(). Keys missing from a
+// locale fall back to English.
+
+const LOCALES = {
+  en: {
+    "language.name": "English",
+    "language.label": "Language",
+
+    "wallet.connect": "Connect",
+    "wallet.connectWallet": "Connect wallet",
+    "wallet.disconnect": "Disconnect",
+    "wallet.select": "Select a wallet",
+    "wallet.browser": "Browser wallet",
+    "wallet.none": "No wallet detected",
+    "wallet.noneAvailable": "🔒 No Ethereum wallet available. Please install one to use this dApp.",
+    "wallet.connectFailed": "Unable to connect to wallet",
+    "wallet.connectFirst": "Connect your wallet first",
+    "wallet.disconnected": "Disconnected",
+    "wallet.locked": "Wallet disconnected",
+    "wallet.accountChanged": "Account changed",
+    "wallet.connectionLost": "Wallet connection lost",
+    "wallet.accountLabelMissing": "Element #account not found",
+
+    "network.unsupportedSwitch": "Unsupported network. Switch to:",
+    "network.unsupported": "Unsupported network",
+    "network.notDeployed": "Contracts not deployed on this network",
+    "network.contractMissing": "{contract} is not deployed on {chain}",
+    "network.switchRejected": "Network switch rejected",
+    "network.addFailed": "Unable to add {chain}",
+
+    "faucet.button": "Get test tokens",
+    "faucet.sending": "Requesting test tokens…",
+    "faucet.sent": "Received {tokens}",
+    "faucet.rateLimited": "Tokens already sent to this address, try again in {minutes} min",
+    "faucet.empty": "The faucet is out of tokens",
+    "faucet.unavailable": "Faucet unavailable, is it running?",
+    "faucet.failed": "Faucet request failed",
+
+    "tab.swap": "Swap",
+    "tab.liquidity": "Liquidity",
+    "tab.history": "History",
+
+    "common.balance": "Balance:",
+    "common.max": "Max",
+    "common.maxSlippage": "Max slippage",
+    "common.networkFee": "Network fee",
+    "common.simulatedResult": "Simulated result",
+    "common.cancel": "Cancel",
+    "common.close": "Close",
+    "common.invalidSlippage": "Invalid slippage",
+
+    "swap.to": "to",
+    "swap.subtitle": "Trade tokens in an instant",
+    "swap.switchDirection": "Switch direction",
+    "swap.price": "Price",
+    "swap.executionPrice": "Execution price",
+    "swap.spot": "spot",
+    "swap.priceImpact": "Price impact",
+    "swap.minReceived": "Minimum received",
+    "swap.approvals": "Approvals",
+    "swap.approve": "Approve {token}",
+    "swap.submit": "Swap",
+    "swap.invalidAmounts": "Invalid amounts entered",
+    "swap.tooSmall": "Amount too small to swap",
+    "swap.failed": "Transaction failed",
+    "swap.noLiquidity": "The pool has no liquidity yet",
+    "swap.quoteUpdated": "Quote updated: {previous} → {current} {token}. Review before swapping.",
+    "swap.quoteChanged": "Pool price changed, review the new quote",
+    "swap.decimalsFailed": "Failed to fetch token decimals",
+    "swap.priceFailed": "Failed to fetch token price",
+
+    "liquidity.title": "Liquidity",
+    "liquidity.pool": "Pool:",
+    "liquidity.add": "Add liquidity",
+    "liquidity.remove": "Remove liquidity",
+    "liquidity.yourLP": "Your SSLP",
+    "liquidity.removePlaceholder": "% of SSLP (1-100)",
+    "liquidity.youReceive": "You receive",
+    "liquidity.minted": "{liquidity} SSLP for {amountA} TokenA + {amountB} TokenB",
+    "liquidity.invalidAmounts": "Invalid liquidity amounts",
+    "liquidity.invalidPercentage": "Invalid percentage to remove",
+    "liquidity.addFailed": "Add liquidity failed",
+    "liquidity.removeFailed": "Remove liquidity failed",
+    "liquidity.loadFailed": "Failed to load pool state",
+
+    "position.title": "My liquidity",
+    "position.balance": "SSLP balance",
+    "position.share": "Pool share",
+    "position.redeemable": "Redeemable now",
+    "position.tvl": "Total value locked",
+
+    "history.title": "History",
+    "history.subtitle": "Your swaps and liquidity changes",
+    "history.connect": "Connect your wallet to see your activity",
+    "history.empty": "No activity in the loaded blocks",
+    "history.loadOlder": "Load older",
+    "history.loadFailed": "Failed to load history",
+
+    "settings.title": "Token settings",
+    "settings.approvalAmount": "Approval amount",
+    "settings.exact": "Exact amount for each transaction",
+    "settings.unlimited": "Unlimited",
+    "settings.allowances": "Current allowances",
+    "settings.connect": "Connect your wallet to see your allowances",
+    "settings.revoke": "Revoke",
+    "settings.revokeFailed": "Revoke failed",
+    "settings.allow": "Allow {amount}",
+    "settings.revokeResult": "Revoke {token}",
+
+    "kind.Swap": "Swap",
+    "kind.Approve": "Approve",
+    "kind.Revoke": "Revoke",
+    "kind.Add": "Add",
+    "kind.Remove": "Remove",
+
+    "tx.recent": "Recent transactions",
+    "tx.pending": "{count} pending",
+    "tx.submitted": "{kind} submitted",
+    "tx.confirmed": "{kind} confirmed",
+    "tx.failed": "{kind} failed on chain",
+    "tx.replaced": "{kind} was replaced in the wallet",
+    "tx.dropped": "{kind} was dropped",
+    "tx.status.pending": "pending",
+    "tx.status.confirmed": "confirmed",
+    "tx.status.failed": "failed",
+    "tx.status.replaced": "replaced",
+    "tx.status.dropped": "dropped",
+
+    "error.rejected": "Request rejected in your wallet",
+    "error.reverted": "Transaction reverted: {reason}",
+    "error.panic": "Transaction reverted (panic {code})",
+    "error.EXPIRED": "The deadline passed before the transaction was mined — submit it again",
+    "error.SL.swap": "Price moved beyond your max slippage — refresh the quote or raise the slippage",
+    "error.SL.liquidity": "Pool amounts moved beyond your max slippage — refresh or raise the slippage",
+    "error.BP": "Swap path must contain exactly two tokens",
+    "error.BI": "The input token is not part of this pool",
+    "error.BO": "The output token is not part of this pool",
+    "error.IP": "Tokens do not match this pool's pair",
+    "error.ZT": "The recipient address cannot be zero",
+    "error.LB.remove": "You do not have that much SSLP — lower the amount to remove",
+    "error.LB.add": "Pool ratio moved: TokenB would be below your minimum — adjust the amounts or raise the slippage",
+    "error.LA": "Pool ratio moved: TokenA would be below your minimum — adjust the amounts or raise the slippage",
+    "error.NL": "Deposit too small to mint any SSLP — add more liquidity",
+    "error.TF_A": "TokenA could not be transferred into the pool — check your balance and allowance",
+    "error.TF_B": "TokenB could not be transferred into the pool — check your balance and allowance",
+    "error.TFA": "The pool could not send TokenA",
+    "error.TFB": "The pool could not send TokenB",
+    "error.TF": "Token transfer failed — check your balance and allowance",
+    "error.ZERO_RESERVES": "The pool has no liquidity yet — add liquidity first",
+    "error.ZERO_IN": "Enter an amount greater than zero",
+    "error.IDENTICAL_ADDR": "Both tokens are the same",
+    "error.ZERO_ADDR": "Token address cannot be zero",
+    "error.OWNER_ONLY": "Only the pool owner can do this",
+    "error.ERC20InsufficientAllowance": "Allowance {allowance} is less than {needed} needed — approve more",
+    "error.ERC20InsufficientBalance": "Balance {balance} is less than {needed} needed — lower the amount",
+    "error.ERC20InvalidApprover": "Invalid approver address",
+    "error.ERC20InvalidReceiver": "Invalid receiver address",
+    "error.ERC20InvalidSender": "Invalid sender address",
+    "error.ERC20InvalidSpender": "Invalid spender address",
+  },
+
+  es: {
+    "language.name": "Español",
+    "language.label": "Idioma",
+
+    "wallet.connect": "Conectar",
+    "wallet.connectWallet": "Conectar billetera",
+    "wallet.disconnect": "Desconectar",
+    "wallet.select": "Selecciona una billetera",
+    "wallet.browser": "Billetera del navegador",
+    "wallet.none": "No se detectó billetera",
+    "wallet.noneAvailable": "🔒 No hay una billetera Ethereum disponible. Instala una para usar esta dApp.",
+    "wallet.connectFailed": "No se pudo conectar con la billetera",
+    "wallet.connectFirst": "Primero conecta tu billetera",
+    "wallet.disconnected": "Desconectado",
+    "wallet.locked": "Billetera desconectada",
+    "wallet.accountChanged": "Cuenta cambiada",
+    "wallet.connectionLost": "Se perdió la conexión con la billetera",
+    "wallet.accountLabelMissing": "No se encontró el elemento #account",
+
+    "network.unsupportedSwitch": "Red no soportada. Cambia a:",
+    "network.unsupported": "Red no soportada",
+    "network.notDeployed": "Los contratos no están desplegados en esta red",
+    "network.contractMissing": "{contract} no está desplegado en {chain}",
+    "network.switchRejected": "Cambio de red rechazado",
+    "network.addFailed": "No se pudo agregar {chain}",
+
+    "faucet.button": "Obtener tokens de prueba",
+    "faucet.sending": "Solicitando tokens de prueba…",
+    "faucet.sent": "Recibiste {tokens}",
+    "faucet.rateLimited": "Ya se enviaron tokens a esta dirección, reintenta en {minutes} min",
+    "faucet.empty": "El faucet se quedó sin tokens",
+    "faucet.unavailable": "Faucet no disponible, ¿está en ejecución?",
+    "faucet.failed": "Falló la solicitud al faucet",
+
+    "tab.swap": "Intercambiar",
+    "tab.liquidity": "Liquidez",
+    "tab.history": "Historial",
+
+    "common.balance": "Saldo:",
+    "common.max": "Máx",
+    "common.maxSlippage": "Deslizamiento máx.",
+    "common.networkFee": "Comisión de red",
+    "common.simulatedResult": "Resultado simulado",
+    "common.cancel": "Cancelar",
+    "common.close": "Cerrar",
+    "common.invalidSlippage": "Deslizamiento no válido",
+
+    "swap.to": "a",
+    "swap.subtitle": "Intercambia tokens al instante",
+    "swap.switchDirection": "Invertir dirección",
+    "swap.price": "Precio",
+    "swap.executionPrice": "Precio de ejecución",
+    "swap.spot": "actual",
+    "swap.priceImpact": "Impacto en el precio",
+    "swap.minReceived": "Mínimo recibido",
+    "swap.approvals": "Aprobaciones",
+    "swap.approve": "Aprobar {token}",
+    "swap.submit": "Intercambiar",
+    "swap.invalidAmounts": "Los montos ingresados no son válidos",
+    "swap.tooSmall": "Monto demasiado pequeño para intercambiar",
+    "swap.failed": "La transacción falló",
+    "swap.noLiquidity": "El pool aún no tiene liquidez",
+    "swap.quoteUpdated": "Cotización actualizada: {previous} → {current} {token}. Revísala antes de intercambiar.",
+    "swap.quoteChanged": "El precio del pool cambió, revisa la nueva cotización",
+    "swap.decimalsFailed": "No se pudieron obtener los decimales de los tokens",
+    "swap.priceFailed": "No se pudo obtener el precio del token",
+
+    "liquidity.title": "Liquidez",
+    "liquidity.pool": "Pool:",
+    "liquidity.add": "Agregar liquidez",
+    "liquidity.remove": "Retirar liquidez",
+    "liquidity.yourLP": "Tus SSLP",
+    "liquidity.removePlaceholder": "% de SSLP (1-100)",
+    "liquidity.youReceive": "Recibes",
+    "liquidity.minted": "{liquidity} SSLP por {amountA} TokenA + {amountB} TokenB",
+    "liquidity.invalidAmounts": "Los montos de liquidez no son válidos",
+    "liquidity.invalidPercentage": "Porcentaje a retirar no válido",
+    "liquidity.addFailed": "No se pudo agregar liquidez",
+    "liquidity.removeFailed": "No se pudo retirar liquidez",
+    "liquidity.loadFailed": "No se pudo cargar el estado del pool",
+
+    "position.title": "Mi liquidez",
+    "position.balance": "Saldo de SSLP",
+    "position.share": "Participación en el pool",
+    "position.redeemable": "Retirable ahora",
+    "position.tvl": "Valor total bloqueado",
+
+    "history.title": "Historial",
+    "history.subtitle": "Tus intercambios y cambios de liquidez",
+    "history.connect": "Conecta tu billetera para ver tu actividad",
+    "history.empty": "Sin actividad en los bloques cargados",
+    "history.loadOlder": "Cargar anteriores",
+    "history.loadFailed": "No se pudo cargar el historial",
+
+    "settings.title": "Ajustes de tokens",
+    "settings.approvalAmount": "Monto de aprobación",
+    "settings.exact": "Monto exacto para cada transacción",
+    "settings.unlimited": "Ilimitado",
+    "settings.allowances": "Permisos actuales",
+    "settings.connect": "Conecta tu billetera para ver tus permisos",
+    "settings.revoke": "Revocar",
+    "settings.revokeFailed": "No se pudo revocar",
+    "settings.allow": "Permitir {amount}",
+    "settings.revokeResult": "Revocar {token}",
+
+    "kind.Swap": "Intercambio",
+    "kind.Approve": "Aprobación",
+    "kind.Revoke": "Revocación",
+    "kind.Add": "Depósito",
+    "kind.Remove": "Retiro",
+
+    "tx.recent": "Transacciones recientes",
+    "tx.pending": "{count} pendientes",
+    "tx.submitted": "{kind}: transacción enviada",
+    "tx.confirmed": "{kind}: confirmada",
+    "tx.failed": "{kind}: falló en la cadena",
+    "tx.replaced": "{kind}: reemplazada en la billetera",
+    "tx.dropped": "{kind}: descartada",
+    "tx.status.pending": "pendiente",
+    "tx.status.confirmed": "confirmada",
+    "tx.status.failed": "fallida",
+    "tx.status.replaced": "reemplazada",
+    "tx.status.dropped": "descartada",
+
+    "error.rejected": "Solicitud rechazada en tu billetera",
+    "error.reverted": "La transacción se revirtió: {reason}",
+    "error.panic": "La transacción se revirtió (panic {code})",
+    "error.EXPIRED": "El plazo venció antes de que se minara la transacción — envíala de nuevo",
+    "error.SL.swap": "El precio se movió más allá de tu deslizamiento máximo — actualiza la cotización o sube el deslizamiento",
+    "error.SL.liquidity": "Los montos del pool se movieron más allá de tu deslizamiento máximo — actualiza o sube el deslizamiento",
+    "error.BP": "La ruta del intercambio debe tener exactamente dos tokens",
+    "error.BI": "El token de entrada no es parte de este pool",
+    "error.BO": "El token de salida no es parte de este pool",
+    "error.IP": "Los tokens no coinciden con el par de este pool",
+    "error.ZT": "La dirección del destinatario no puede ser cero",
+    "error.LB.remove": "No tienes tantos SSLP — baja el monto a retirar",
+    "error.LB.add": "La proporción del pool cambió: TokenB quedaría por debajo de tu mínimo — ajusta los montos o sube el deslizamiento",
+    "error.LA": "La proporción del pool cambió: TokenA quedaría por debajo de tu mínimo — ajusta los montos o sube el deslizamiento",
+    "error.NL": "Depósito demasiado pequeño para emitir SSLP — agrega más liquidez",
+    "error.TF_A": "No se pudo transferir TokenA al pool — revisa tu saldo y tu permiso",
+    "error.TF_B": "No se pudo transferir TokenB al pool — revisa tu saldo y tu permiso",
+    "error.TFA": "El pool no pudo enviar TokenA",
+    "error.TFB": "El pool no pudo enviar TokenB",
+    "error.TF": "La transferencia del token falló — revisa tu saldo y tu permiso",
+    "error.ZERO_RESERVES": "El pool aún no tiene liquidez — agrega liquidez primero",
+    "error.ZERO_IN": "Ingresa un monto mayor que cero",
+    "error.IDENTICAL_ADDR": "Ambos tokens son el mismo",
+    "error.ZERO_ADDR": "La dirección del token no puede ser cero",
+    "error.OWNER_ONLY": "Solo el dueño del pool puede hacer esto",
+    "error.ERC20InsufficientAllowance": "El permiso de {allowance} es menor que los {needed} necesarios — aprueba más",
+    "error.ERC20InsufficientBalance": "El saldo de {balance} es menor que los {needed} necesarios — baja el monto",
+    "error.ERC20InvalidApprover": "Dirección de aprobador no válida",
+    "error.ERC20InvalidReceiver": "Dirección de destinatario no válida",
+    "error.ERC20InvalidSender": "Dirección de remitente no válida",
+    "error.ERC20InvalidSpender": "Dirección de gastador no válida",
+  },
+};
@@ -1,188 +1,345 @@
 // Global variables
 
-/** 
- * Web3 instance used to interact with the Ethereum provider 
- */
-let web3;
-
 /** 
  * Currently connected user wallet address 
  */
 let address;
 
 /** 
- * Instance of the smart contract used for token swapping 
+ * Contract target ({ address, abi }) of the exchange used for token swapping 
  */
 let swapInstance;
 
 /** 
- * Indicates whether tokenA has been approved for exchange
- * If = 0, approval is needed; otherwise swap can proceed 
+ * Allowance of the input token granted to the exchange by the connected account
+ * The swap needs approval first while it is below the amount to swap
  */
-let buyOrApprove = 0;
+let allowanceIn = 0n;
 
 /** 
- * Current price of TokenB relative to TokenA 
+ * Current price of the input token in terms of the output token, scaled by 1e18 
+ */
+let P1 = 0n;
+
+/**
+ * Swap direction: false swaps TokenA → TokenB, true swaps TokenB → TokenA
+ */
+let reversed = false;
+
+/**
+ * Last fetched TokenA and TokenB balances of the connected wallet
+ */
+let balanceA = 0n;
+let balanceB = 0n;
+
+/**
+ * On-chain decimals() of TokenA, TokenB and the SSLP token
+ */
+let decimalsA = 18;
+let decimalsB = 18;
+let decimalsLP = 18;
+
+/**
+ * Expected output of the quote currently shown to the user, null when there is none
  */
-let P1 = 1;
+let quotedAmountOut = null;
+
+/**
+ * Relative change of the expected output, in basis points, that is flagged to the user
+ */
+const QUOTE_CHANGE_BPS = 50n;
 
 window.addEventListener("DOMContentLoaded", async () => {
-  // Verify MetaMask availability before initializing
-  const available = detectMetaMask();
-  if (!available) return;
+  // Discover injected wallets before initializing
+  const wallets = await discoverWallets();
+  if (wallets.length === 0) {
+    showNoWalletAvailable();
+    return;
+  }
 
-  // If already connected, proceed to reconnect and fetch balances
-  const isConnected = getFromLocalStorage("SwapConected");
+  // Reconnect with the wallet chosen in a previous session, if any
+  const remembered = getRememberedWallet();
+  useWallet(remembered || wallets[0]);
   await init();
-  if (isConnected === "true") {
+  if (remembered) {
     await connect();
   }
 });
 
 /**
- * Initializes the Web3 provider and loads initial data
+ * Initializes the chain client and loads initial data
+ * - Selects the deployment for the wallet's chain
  * - Instantiates contract
  * - Fetches token price
  */
 async function init() {
-  web3 = new Web3(window.ethereum);
-  swapInstance = new web3.eth.Contract(exchange_abi, exchange_address);
+  connectClient(ethereumProvider);
+  const ready = await selectDeployment();
+
+  // Pending transactions of a previous session are followed on any chain they were sent to
+  resumeTransactions();
+  if (!ready) return;
 
+  swapInstance = { address: exchange_address, abi: exchange_abi };
+
+  await loadTokenDecimals();
+  await setPrice();
+  await refreshLiquidity();
+  await startPoolWatcher();
+}
+
+/**
+ * Reads decimals() from both tokens and the pool's SSLP token
+ */
+async function loadTokenDecimals() {
   try {
-    // Retrieve token price from contract
-    const price = await swapInstance.methods.getPrice(tokena_address, tokenb_address).call();
-    P1 = Number(price);
+    const [tokenA, tokenB] = getPoolTokens();
+
+    decimalsA = Number(await readContract(tokenA, "decimals"));
+    decimalsB = Number(await readContract(tokenB, "decimals"));
+    decimalsLP = Number(await readContract(swapInstance, "decimals"));
+  } catch (error) {
+    console.error("Failed to fetch token decimals:", error);
+    showToast(t("swap.decimalsFailed"), "red");
+  }
+}
+
+/**
+ * Returns the [input, output] token descriptors for the current swap direction
+ */
+function getSwapTokens() {
+  const [tokenA, tokenB] = getPoolTokens();
+  return reversed ? [tokenB, tokenA] : [tokenA, tokenB];
+}
+
+/**
+ * Returns the [TokenA, TokenB] descriptors of the pool
+ */
+function getPoolTokens() {
+  return [
+    { name: "TokenA", label: "Token A", address: tokena_address, abi: tokena_abi, decimals: decimalsA, balance: balanceA, logo: "./TokenA.png" },
+    { name: "TokenB", label: "Token B", address: tokenb_address, abi: tokenb_abi, decimals: decimalsB, balance: balanceB, logo: "./TokenB.png" },
+  ];
+}
+
+/**
+ * Converts a raw 1e18-scaled pool ratio into a 1e18-scaled price
+ * of whole input tokens in whole output tokens
+ */
+function toDisplayPrice(ratio, tokenIn, tokenOut) {
+  return (ratio * 10n ** BigInt(tokenIn.decimals)) / 10n ** BigInt(tokenOut.decimals);
+}
+
+/**
+ * Fetches the price of the input token in terms of the output token
+ */
+async function setPrice() {
+  const [tokenIn, tokenOut] = getSwapTokens();
 
-    // Update price in UI
-    document.querySelector(".precio").textContent = P1;
+  try {
+    // Retrieve token price from contract
+    const price = await readContract(swapInstance, "getPrice", [tokenIn.address, tokenOut.address]);
+    P1 = BigInt(price);
+    renderPrice();
   } catch (error) {
     console.error("Failed to fetch token price:", error);
-    showToast("Failed to fetch token price", "red");
+    showToast(t("swap.priceFailed"), "red");
+  }
+}
+
+/**
+ * Shows the last fetched price of the input token in terms of the output token
+ */
+function renderPrice() {
+  const [tokenIn, tokenOut] = getSwapTokens();
+  document.getElementById("price").textContent = formatDisplay(toDisplayPrice(P1, tokenIn, tokenOut), 18, { maxFractionDigits: 6 });
+}
+
+/**
+ * Renders token names, logos and balances in the input/output panels
+ * according to the current swap direction
+ */
+function renderSwapDirection() {
+  const [tokenIn, tokenOut] = getSwapTokens();
+
+  document.getElementById("swapTitleIn").textContent = tokenIn.name;
+  document.getElementById("swapTitleOut").textContent = tokenOut.name;
+  document.getElementById("tokenInName").textContent = tokenIn.label;
+  document.getElementById("tokenOutName").textContent = tokenOut.label;
+  document.querySelector(".token-in-logo").src = tokenIn.logo;
+  document.querySelector(".token-out-logo").src = tokenOut.logo;
+  document.getElementById("priceBase").textContent = tokenIn.name;
+  document.getElementById("priceQuote").textContent = tokenOut.name;
+  renderBalance("balanceTokenIn", tokenIn.balance, tokenIn.decimals);
+  renderBalance("balanceTokenOut", tokenOut.balance, tokenOut.decimals);
+}
+
+/**
+ * Shows a balance in compact form (1.23K, 4.5M...) with the exact amount as tooltip
+ */
+function renderBalance(id, balance, decimals) {
+  const label = document.getElementById(id);
+  label.textContent = formatDisplay(balance, decimals, { compact: true });
+  label.title = formatUnits(balance, decimals);
+}
+
+/**
+ * Fills the input amount with the exact balance of the input token
+ */
+function setMaxAmount() {
+  const [tokenIn] = getSwapTokens();
+  document.querySelector(".IHAVE").value = formatInputAmount(tokenIn.balance, tokenIn.decimals);
+  setValueTokenToSpend();
+}
+
+/**
+ * Toggles between TokenA → TokenB and TokenB → TokenA swaps
+ * Clears amounts and reloads price and allowance for the new input token
+ */
+async function flipSwapDirection() {
+  reversed = !reversed;
+  document.querySelector(".IHAVE").value = "";
+  setValueTokenToSpend();
+  renderSwapDirection();
+
+  if (!deploymentReady) return;
+
+  await setPrice();
+  if (address) {
+    await checkAllowance();
   }
 }
 
 /**
- * Connects to the user's wallet using MetaMask
+ * Connects to the user's account in the selected wallet
  * Updates UI and loads token balances
  */
 async function connect() {
   try {
     const accountLabel = document.getElementById("account");
     if (!accountLabel) {
-      showToast("Element #account not found", "red");
+      showToast(t("wallet.accountLabelMissing"), "red");
       console.warn("Element #account is missing");
       return;
     }
 
     // Request wallet connection
-    await window.ethereum.request({ method: "eth_requestAccounts" });
-    const accounts = await web3.eth.getAccounts();
-    address = accounts[0];
-
-    // Display shortened address
-    accountLabel.textContent = address.slice(0, 6) + "...";
-    saveToLocalStorage("SwapConected", "true");
+    const accounts = await ethereumProvider.request({ method: "eth_requestAccounts" });
+    address = ethers.getAddress(accounts[0]);
 
-    await setBalanceTokenA();
-    await setBalanceTokenB();
-    await checkAllowance();
-
-    document.getElementById("swap-submit").textContent = "Swap";
+    saveToLocalStorage(WALLET_STORAGE_KEY, ethereumProviderRdns);
+    await loadAccount();
   } catch (error) {
-    console.error("MetaMask connection failed:", error);
-    showToast("Unable to connect to MetaMask", "red");
+    showError("Wallet connection failed", error, t("wallet.connectFailed"));
   }
 }
 
 /**
- * Authorizes exchange contract to spend TokenA
- * using approve() method from ERC-20 standard
+ * Displays the connected account and reloads its balances and allowance
+ * Used after connecting and whenever the wallet switches account or chain
  */
-async function authorizeTokenA() {
-  try {
-    const amountRaw = document.querySelector(".IHAVE").value.trim();
-
-    // Validate amount input
-    if (!amountRaw || isNaN(parseFloat(amountRaw)) || parseFloat(amountRaw) <= 0) {
-      showToast("Invalid amount for approval", "red");
-      return;
-    }
+async function loadAccount() {
+  renderAccountLabel();
+  document.getElementById("disconnect").classList.remove("hidden");
+  renderFaucetButton();
+  if (!deploymentReady) return;
+
+  await setBalanceTokenA();
+  await setBalanceTokenB();
+  await checkAllowance();
+  await refreshLiquidity();
+  await loadHistory();
+}
 
-    const decimals = 18;
-    const amount = BigInt(Math.floor(parseFloat(amountRaw) * 10 ** decimals));
-    const tokenaInstance = new web3.eth.Contract(tokena_abi, tokena_address);
-
-    await tokenaInstance.methods
-      .approve(exchange_address, amount.toString())
-      .send({ from: address })
-      .on("transactionHash", hash => showToast("Approval hash: " + hash, "orange"))
-      .on("receipt", () => {
-        showToast("Authorization complete", "green");
-      });
-  } catch (error) {
-    console.error("Error approving TokenA:", error);
-    showToast("Authorization error", "red");
-  }
+/**
+ * Forgets the connected account and resets every account-specific value in the UI
+ */
+function clearAccount() {
+  address = undefined;
+  balanceA = 0n;
+  balanceB = 0n;
+  lpBalance = 0n;
+  allowanceIn = 0n;
+
+  renderAccountLabel();
+  document.getElementById("disconnect").classList.add("hidden");
+  renderFaucetButton();
+  renderSwapDirection();
+  renderLiquidity();
+  updateSwapButton();
+  clearHistory();
 }
 
 /**
  * Executes token swap using swapExactTokensForTokens()
- * If not approved, calls approve() instead
+ * While the input token allowance is below the amount, requests the approval instead
  */
 async function handleSubmit() {
+  if (!address) {
+    openWalletPicker();
+    return;
+  }
+  if (!requireDeployment()) return;
+
   try {
-    const amountInRaw = document.querySelector(".IHAVE").value.trim();
-    const amountOutMinRaw = document.querySelector(".IWANT").value.trim();
+    const [tokenIn, tokenOut] = getSwapTokens();
+    const amountIn = parseAmountInput(".IHAVE", tokenIn.decimals);
+    const slippageBps = getSlippageBps(".SWAP-SLIPPAGE");
 
     // Parse and validate inputs
-    const amountInFloat = parseFloat(amountInRaw);
-    const amountOutMinFloat = parseFloat(amountOutMinRaw);
+    if (amountIn === null) {
+      showToast(t("swap.invalidAmounts"), "red");
+      return;
+    }
+    if (slippageBps === null) {
+      showToast(t("common.invalidSlippage"), "red");
+      return;
+    }
 
-    if (isNaN(amountInFloat) || isNaN(amountOutMinFloat) || amountInFloat <= 0 || amountOutMinFloat <= 0) {
-      showToast("Invalid amounts entered", "red");
+    // Re-quote against the latest pool balances right before signing
+    const shownAmountOut = quotedAmountOut;
+    await refreshPoolReserves();
+    const { amountOut, minReceived: amountOutMin } = getSwapQuote(amountIn, slippageBps);
+    if (amountOut === 0n) {
+      showToast(t("swap.tooSmall"), "red");
+      return;
+    }
+    if (quoteChangedMaterially(shownAmountOut, amountOut)) {
+      setValueTokenToSpend();
+      flagQuoteChange(shownAmountOut, amountOut);
       return;
     }
 
-    const decimals = 18;
-    const amountIn = BigInt(Math.floor(amountInFloat * 10 ** decimals));
-    const amountOutMin = BigInt(Math.floor(amountOutMinFloat * 10 ** decimals));
-    const path = [tokena_address, tokenb_address];
+    const path = [tokenIn.address, tokenOut.address];
     const to = address;
     const deadline = Math.floor(Date.now() / 1000) + 300;
 
-    if (buyOrApprove !== "0") {
+    if (amountIn <= allowanceIn) {
       // Execute token swap
-      await swapInstance.methods
-        .swapExactTokensForTokens(
-          amountIn.toString(),
-          amountOutMin.toString(),
-          path,
-          to,
-          deadline
-        )
-        .send({ from: address })
-        .on("transactionHash", hash => showToast("Swap hash: " + hash, "orange"))
-        .on("receipt", async () => {
-          showToast("Swap successful", "green");
-          await setBalanceTokenA();
-          await setBalanceTokenB();
-        });
+      const { status } = await submitTransaction(
+        prepareWrite(swapInstance, "swapExactTokensForTokens", [amountIn, amountOutMin, path, to, deadline]),
+        "Swap",
+        `${formatDisplay(amountIn, tokenIn.decimals)} ${tokenIn.name} → ${formatDisplay(amountOut, tokenOut.decimals)} ${tokenOut.name}`,
+        { target: "swap", describeResult: amounts => `${formatDisplay(amounts[1], tokenOut.decimals)} ${tokenOut.name}` }
+      );
+      if (status === "confirmed") {
+        // The filled quote no longer applies; clear it so the pool watcher does not flag it
+        document.querySelector(".IHAVE").value = "";
+        hidePreflight("swap");
+        await setBalanceTokenA();
+        await setBalanceTokenB();
+        await setPrice();
+        await refreshLiquidity();
+      }
     } else {
-      // First-time approval fallback
-      const tokenaInstance = new web3.eth.Contract(tokena_abi, tokena_address);
-      await tokenaInstance.methods
-        .approve(exchange_address, amountIn.toString())
-        .send({ from: address })
-        .on("transactionHash", hash => showToast("Approval hash: " + hash, "orange"))
-        .on("receipt", async () => {
-          showToast("Approval successful", "green");
-          await checkAllowance();
-          document.getElementById("swap-submit").textContent = buyOrApprove === "0" ? "Approve" : "Swap";
-        });
+      // Approve the input token first, exactly or unlimited as set in the token settings
+      const { status } = await approveExchange(tokenIn, getApprovalAmount(amountIn), "swap");
+      if (status === "confirmed") {
+        await checkAllowance();
+      }
     }
   } catch (error) {
-    console.error("Transaction error:", error);
-    showToast("Transaction failed", "red");
+    showError("Transaction error", error, t("swap.failed"), { action: "swap", token: getSwapTokens()[0] });
   }
 }
 
@@ -190,37 +347,196 @@ async function handleSubmit() {
  * Retrieves and displays current TokenA balance
  */
 async function setBalanceTokenA() {
-  const tokenaInstance = new web3.eth.Contract(tokena_abi, tokena_address);
-  const balance = await tokenaInstance.methods.balanceOf(address).call();
-  document.getElementById("balanceTokenA").textContent = balance;
+  balanceA = await readContract(getPoolTokens()[0], "balanceOf", [address]);
+  renderSwapDirection();
 }
 
 /**
  * Retrieves and displays current TokenB balance
  */
 async function setBalanceTokenB() {
-  const tokenbInstance = new web3.eth.Contract(tokenb_abi, tokenb_address);
-  const balance = await tokenbInstance.methods.balanceOf(address).call();
-  document.getElementById("balanceTokenB").textContent = balance;
+  balanceB = await readContract(getPoolTokens()[1], "balanceOf", [address]);
+  renderSwapDirection();
 }
 
 /**
- * Verifies approved token allowance for exchange contract
+ * Reads the allowance of the input token for the exchange contract
  */
 async function checkAllowance() {
-  const tokenbInstance = new web3.eth.Contract(tokenb_abi, tokenb_address);
-  const allowed = await tokenbInstance.methods.allowance(address, exchange_address).call();
-  buyOrApprove = allowed;
+  const [tokenIn] = getSwapTokens();
+  allowanceIn = await getExchangeAllowance(tokenIn);
+  updateSwapButton();
+}
+
+/**
+ * Shows the next step of the swap on the submit button:
+ * connecting, approving the input token while its allowance is below the amount, or swapping
+ */
+function updateSwapButton() {
+  const [tokenIn] = getSwapTokens();
+  const amountIn = parseAmountInput(".IHAVE", tokenIn.decimals);
+  const button = document.getElementById("swap-submit");
+
+  if (!address) {
+    button.textContent = t("wallet.connectWallet");
+  } else if (amountIn !== null && amountIn > allowanceIn) {
+    button.textContent = t("swap.approve", { token: tokenIn.name });
+  } else {
+    button.textContent = t("swap.submit");
+  }
+}
+
+/**
+ * Shows the shortened connected address on the connect button, or the call to connect
+ */
+function renderAccountLabel() {
+  const label = document.getElementById("account");
+  if (!label) return;
+
+  if (!ethereumProvider) {
+    label.textContent = t("wallet.none");
+  } else {
+    label.textContent = address ? address.slice(0, 6) + "..." : t("wallet.connect");
+  }
+}
+
+/**
+ * Converts a decimal input value, typed in the locale's format or with a
+ * "." decimal point, into base units of a token with `decimals`
+ * Returns null if the value is empty, malformed or not positive
+ */
+function parseAmountInput(selector, decimals) {
+  try {
+    const amount = parseUnits(normalizeAmountInput(document.querySelector(selector).value), decimals);
+    return amount > 0n ? amount : null;
+  } catch {
+    return null;
+  }
 }
 
 /**
- * Recalculates TokenB equivalent based on input and current price
+ * Reads a max slippage input and returns it in basis points
+ * Returns null if it is malformed or outside the 0-50% range
+ */
+function getSlippageBps(selector) {
+  try {
+    const slippageBps = parseUnits(normalizeAmountInput(document.querySelector(selector).value), 2);
+    return slippageBps <= 5000n ? slippageBps : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Quotes a swap of `amountIn` against the current pool balances
+ * Prices are whole output tokens per whole input token scaled by 1e18,
+ * impact is in basis points
+ */
+function getSwapQuote(amountIn, slippageBps) {
+  const [tokenIn, tokenOut] = getSwapTokens();
+  const [reserveIn, reserveOut] = reversed ? [poolReserveB, poolReserveA] : [poolReserveA, poolReserveB];
+  const amountOut = getAmountOut(amountIn, reserveIn, reserveOut);
+
+  const spotPrice = toDisplayPrice((reserveOut * 10n ** 18n) / reserveIn, tokenIn, tokenOut);
+  const executionPrice = toDisplayPrice((amountOut * 10n ** 18n) / amountIn, tokenIn, tokenOut);
+  const priceImpactBps = 10000n - (amountOut * reserveIn * 10000n) / (amountIn * reserveOut);
+  const minReceived = (amountOut * (10000n - slippageBps)) / 10000n;
+
+  return { amountOut, spotPrice, executionPrice, priceImpactBps, minReceived };
+}
+
+/**
+ * Recalculates the expected output, price impact and minimum received
+ * for the amount typed in the input panel
  */
 function setValueTokenToSpend() {
-  const amount0 = parseFloat(document.querySelector(".IHAVE").value) || 0;
-  const amount1 = amount0 / P1;
-  const readable = amount1.toFixed(20);
-  document.querySelector(".IWANT").value = readable;
+  const [tokenIn, tokenOut] = getSwapTokens();
+  const amountIn = parseAmountInput(".IHAVE", tokenIn.decimals);
+  const slippageBps = getSlippageBps(".SWAP-SLIPPAGE");
+  const quoteBox = document.getElementById("swap-quote");
+
+  updateSwapButton();
+  quotedAmountOut = null;
+  if (amountIn === null || slippageBps === null) {
+    document.querySelector(".IWANT").value = "";
+    quoteBox.classList.add("hidden");
+    return;
+  }
+
+  try {
+    const quote = getSwapQuote(amountIn, slippageBps);
+    quotedAmountOut = quote.amountOut;
+
+    document.querySelector(".IWANT").value = formatInputAmount(quote.amountOut, tokenOut.decimals);
+    document.getElementById("executionPrice").textContent = formatDisplay(quote.executionPrice, 18, { maxFractionDigits: 6 });
+    document.getElementById("spotPrice").textContent = formatDisplay(quote.spotPrice, 18, { maxFractionDigits: 6 });
+    document.getElementById("priceImpact").textContent = formatDisplay(quote.priceImpactBps, 2, { maxFractionDigits: 2 }) + "%";
+    document.getElementById("minReceived").textContent = formatDisplay(quote.minReceived, tokenOut.decimals) + " " + tokenOut.name;
+    quoteBox.classList.remove("hidden");
+  } catch (error) {
+    document.querySelector(".IWANT").value = "";
+    quoteBox.classList.add("hidden");
+    if (error.message === "ZERO_RESERVES") showToast(t("swap.noLiquidity"), "red");
+  }
+}
+
+/**
+ * Re-quotes on user input and dismisses any pending quote change notice
+ */
+function onSwapInput() {
+  document.getElementById("quote-warning").classList.add("hidden");
+  hidePreflight("swap");
+  setValueTokenToSpend();
+}
+
+/**
+ * Whether the expected output moved by at least QUOTE_CHANGE_BPS
+ */
+function quoteChangedMaterially(previous, current) {
+  if (previous === null || current === null || previous === 0n) return false;
+  const difference = current > previous ? current - previous : previous - current;
+  return difference * 10000n >= previous * QUOTE_CHANGE_BPS;
+}
+
+/**
+ * Tells the user the quote changed before they signed the swap
+ */
+function flagQuoteChange(previous, current) {
+  const [, tokenOut] = getSwapTokens();
+  const warning = document.getElementById("quote-warning");
+
+  warning.textContent = t("swap.quoteUpdated", {
+    previous: formatDisplay(previous, tokenOut.decimals),
+    current: formatDisplay(current, tokenOut.decimals),
+    token: tokenOut.name,
+  });
+  warning.classList.remove("hidden");
+  showToast(t("swap.quoteChanged"), "orange");
+}
+
+/**
+ * Re-renders every label, amount and date on screen after the locale changes
+ */
+function renderLocalizedState() {
+  renderAccountLabel();
+  renderSwapDirection();
+  renderPrice();
+  setValueTokenToSpend();
+  renderLiquidity();
+  updateAddLiquidityButton();
+  renderHistory();
+  renderTransactions();
+}
+
+/**
+ * Switches the visible panel between the swap, liquidity and history tabs
+ */
+function showTab(name) {
+  const tabs = { swap: "swap-panel", liquidity: "liquidity-panel", history: "history-panel" };
+  for (const [tab, panel] of Object.entries(tabs)) {
+    document.getElementById("tab-" + tab).classList.toggle("swap-button-active", tab === name);
+    document.getElementById(panel).classList.toggle("hidden", tab !== name);
+  }
 }
 
 /**
@@ -243,33 +559,15 @@ function saveToLocalStorage(key, value) {
 }
 
 /**
- * Retrieves a value from localStorage or returns fallback
+ * Removes a key from localStorage
  */
-function getFromLocalStorage(key) {
-  return localStorage.getItem(key) || "DE";
+function removeFromLocalStorage(key) {
+  localStorage.removeItem(key);
 }
 
 /**
- * Verifies if MetaMask is installed and usable
- * Updates UI accordingly and shows toast messages
+ * Retrieves a value from localStorage or returns fallback
  */
-function detectMetaMask() {
-  if (typeof window.ethereum === "undefined") {
-    showToast("🔒 MetaMask not available. Please install it to use this dApp.", "red");
-    const connectBtn = document.getElementById("conect");
-    if (connectBtn) {
-      connectBtn.disabled = true;
-      connectBtn.textContent = "MetaMask not detected";
-      connectBtn.style.backgroundColor = "#ccc";
-    }
-    return false;
-  }
-
-  if (window.ethereum.isMetaMask) {
-    showToast("🦊 MetaMask detected. You can connect your wallet.", "green");
-    return true;
-  } else {
-    showToast("⚠️ Another Ethereum provider detected, not MetaMask.", "orange");
-    return false;
-  }
+function getFromLocalStorage(key) {
+  return localStorage.getItem(key) || "DE";
 }
@@ -0,0 +1,93 @@
+// Token amount parsing and formatting
+//
+// Amounts are handled as BigInt base units end to end; decimal strings are
+// only produced for display and parsed back without going through floats.
+
+/**
+ * Plain decimal amount: digits with an optional fraction ("1", "1.5", ".5", "1.")
+ */
+const DECIMAL_AMOUNT = /^(?:(\d+)(?:\.(\d*))?|\.(\d+))$/;
+
+/**
+ * Suffixes used by compact display, from largest to smallest
+ */
+const COMPACT_UNITS = [
+  { exponent: 12n, suffix: "T" },
+  { exponent: 9n, suffix: "B" },
+  { exponent: 6n, suffix: "M" },
+  { exponent: 3n, suffix: "K" },
+];
+
+/**
+ * Converts a decimal string into base units for a token with `decimals`
+ * Throws if the string is malformed or has more fraction digits than supported
+ */
+function parseUnits(value, decimals) {
+  const match = DECIMAL_AMOUNT.exec(String(value).trim());
+  if (!match) {
+    throw new Error("Malformed amount: " + value);
+  }
+
+  const whole = match[1] || "0";
+  const fraction = match[2] || match[3] || "";
+  if (fraction.length > decimals) {
+    throw new Error("Amount has more than " + decimals + " decimals");
+  }
+
+  return BigInt(whole + fraction.padEnd(decimals, "0"));
+}
+
+/**
+ * Converts base units into an exact decimal string without trailing zeros
+ */
+function formatUnits(value, decimals) {
+  const amount = BigInt(value);
+  const negative = amount < 0n;
+  const absolute = negative ? -amount : amount;
+  const base = 10n ** BigInt(decimals);
+
+  const whole = (absolute / base).toString();
+  const fraction = (absolute % base).toString().padStart(decimals, "0").replace(/0+$/, "");
+
+  return (negative ? "-" : "") + whole + (fraction ? "." + fraction : "");
+}
+
+/**
+ * Inserts thousands separators into a string of digits
+ */
+function groupDigits(digits, separator) {
+  return digits.replace(/\B(?=(\d{3})+(?!\d))/g, separator);
+}
+
+/**
+ * Formats base units for display in the current locale, rounding down to `maxFractionDigits`
+ * With `compact`, amounts of 1,000 or more are shown as 1.23K, 4.5M...
+ * Non-zero amounts below the display precision are shown as "<0.0001"
+ */
+function formatDisplay(value, decimals, { maxFractionDigits = 4, compact = false } = {}) {
+  const amount = BigInt(value);
+  if (amount < 0n) {
+    return "-" + formatDisplay(-amount, decimals, { maxFractionDigits, compact });
+  }
+
+  const base = 10n ** BigInt(decimals);
+
+  if (compact) {
+    for (const { exponent, suffix } of COMPACT_UNITS) {
+      const unit = base * 10n ** exponent;
+      if (amount >= unit) {
+        return formatDisplay((amount * 100n) / unit, 2, { maxFractionDigits: 2 }) + suffix;
+      }
+    }
+  }
+
+  const { group, decimal } = getNumberSymbols();
+  const digits = BigInt(Math.min(maxFractionDigits, decimals));
+  const truncated = amount / 10n ** (BigInt(decimals) - digits);
+  if (truncated === 0n && amount > 0n) {
+    return digits > 0n ? "<0" + decimal + "0".repeat(Number(digits) - 1) + "1" : "<1";
+  }
+
+  const [whole, fraction] = formatUnits(truncated, Number(digits)).split(".");
+  return groupDigits(whole, group) + (fraction ? decimal + fraction : "");
+}
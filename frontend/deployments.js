@@ -0,0 +1,60 @@
+// Generated by scripts/bindings.cjs from ignition/deployments. Do not edit by hand.
+var deployments = {
+  "31337": {
+    "chainName": "Hardhat",
+    "nativeCurrency": {
+      "name": "Ether",
+      "symbol": "ETH",
+      "decimals": 18
+    },
+    "rpcUrls": [
+      "http://127.0.0.1:8545"
+    ],
+    "blockExplorerUrls": [],
+    "faucetUrl": "http://127.0.0.1:8081/",
+    "startBlock": 3,
+    "contracts": {
+      "tokena": {
+        "contract": "TokenA",
+        "address": "0x5FbDB2315678afecb367f032d93F642f64180aa3"
+      },
+      "tokenb": {
+        "contract": "TokenB",
+        "address": "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"
+      },
+      "exchange": {
+        "contract": "SimpleSwap",
+        "address": "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0"
+      }
+    }
+  },
+  "11155111": {
+    "chainName": "Sepolia",
+    "nativeCurrency": {
+      "name": "Sepolia Ether",
+      "symbol": "ETH",
+      "decimals": 18
+    },
+    "rpcUrls": [
+      "https://rpc.sepolia.org"
+    ],
+    "blockExplorerUrls": [
+      "https://sepolia.etherscan.io"
+    ],
+    "startBlock": 8755220,
+    "contracts": {
+      "exchange": {
+        "contract": "SimpleSwap",
+        "address": "0x2Ae790cdf28f0e7373865B42e7D1E04017F4A856"
+      },
+      "tokena": {
+        "contract": "TokenA",
+        "address": "0xf0c9cB1cc7bA04F96e9Eca5EAF56DCb8c280304f"
+      },
+      "tokenb": {
+        "contract": "TokenB",
+        "address": "0x3d725d3c8264bc1927762caCb39EE6E097a170bA"
+      }
+    }
+  }
+};
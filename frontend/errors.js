@@ -0,0 +1,168 @@
+// Revert reason decoding: turns wallet/RPC errors into actionable messages in the current locale
+
+/**
+ * EIP-1193 code for a request the user rejected in the wallet
+ * (ethers reports it as "ACTION_REJECTED")
+ */
+const USER_REJECTED = 4001;
+
+/**
+ * Properties under which ethers and wallets nest the original error
+ */
+const NESTED_ERROR_KEYS = ["info", "cause", "innerError", "error", "originalError"];
+
+/**
+ * Messages for SimpleSwap require() codes. Codes shared by several functions
+ * take the action ("swap", "add", "remove"...) the error was raised in
+ */
+const REVERT_MESSAGES = {
+  EXPIRED: () => t("error.EXPIRED"),
+  SL: ({ action }) => t(action === "swap" ? "error.SL.swap" : "error.SL.liquidity"),
+  BP: () => t("error.BP"),
+  BI: () => t("error.BI"),
+  BO: () => t("error.BO"),
+  IP: () => t("error.IP"),
+  ZT: () => t("error.ZT"),
+  LB: ({ action }) => t(action === "remove" ? "error.LB.remove" : "error.LB.add"),
+  LA: () => t("error.LA"),
+  NL: () => t("error.NL"),
+  TF_A: () => t("error.TF_A"),
+  TF_B: () => t("error.TF_B"),
+  TFA: () => t("error.TFA"),
+  TFB: () => t("error.TFB"),
+  TF: () => t("error.TF"),
+  INVALID_PAIR: () => t("error.IP"),
+  ZERO_RESERVES: () => t("error.ZERO_RESERVES"),
+  ZERO_IN: () => t("error.ZERO_IN"),
+  IDENTICAL_ADDR: () => t("error.IDENTICAL_ADDR"),
+  ZERO_ADDR: () => t("error.ZERO_ADDR"),
+  OWNER_ONLY: () => t("error.OWNER_ONLY"),
+};
+
+/**
+ * Messages for the OpenZeppelin ERC-20 custom errors, from their decoded arguments
+ */
+const CUSTOM_ERROR_MESSAGES = {
+  ERC20InsufficientAllowance: ({ allowance, needed }, { token }) =>
+    t("error.ERC20InsufficientAllowance", { allowance: formatErrorAmount(allowance, token), needed: formatErrorAmount(needed, token) }),
+  ERC20InsufficientBalance: ({ balance, needed }, { token }) =>
+    t("error.ERC20InsufficientBalance", { balance: formatErrorAmount(balance, token), needed: formatErrorAmount(needed, token) }),
+  ERC20InvalidApprover: () => t("error.ERC20InvalidApprover"),
+  ERC20InvalidReceiver: () => t("error.ERC20InvalidReceiver"),
+  ERC20InvalidSender: () => t("error.ERC20InvalidSender"),
+  ERC20InvalidSpender: () => t("error.ERC20InvalidSpender"),
+};
+
+/**
+ * Formats an amount from a custom error with the token involved, when the caller knows it
+ */
+function formatErrorAmount(value, token) {
+  return token ? `${formatDisplay(value, token.decimals)} ${token.name}` : formatDisplay(value, 18);
+}
+
+/**
+ * Returns an actionable message for an error thrown by a wallet, the RPC or ethers
+ * `context.action` disambiguates shared revert codes,
+ * `context.token` ({ name, decimals }) formats ERC-20 error amounts
+ */
+function describeError(error, context = {}) {
+  if (findErrorCode(error) === USER_REJECTED) {
+    return t("error.rejected");
+  }
+
+  const revert = decodeRevert(error);
+  if (revert && revert.reason && REVERT_MESSAGES[revert.reason]) {
+    return REVERT_MESSAGES[revert.reason](context);
+  }
+  if (revert && revert.name && CUSTOM_ERROR_MESSAGES[revert.name]) {
+    return CUSTOM_ERROR_MESSAGES[revert.name](revert.args, context);
+  }
+  if (revert && revert.panic !== undefined) {
+    return revert.panic === 0x12n ? t("error.ZERO_RESERVES") : t("error.panic", { code: revert.panic });
+  }
+  if (revert && revert.reason) {
+    return t("error.reverted", { reason: revert.reason });
+  }
+  return null;
+}
+
+/**
+ * Finds the EIP-1193/JSON-RPC error code anywhere in a wrapped error
+ */
+function findErrorCode(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 5) return undefined;
+  if (error.code === USER_REJECTED || error.code === "ACTION_REJECTED") return USER_REJECTED;
+
+  for (const key of [...NESTED_ERROR_KEYS, "data"]) {
+    const code = findErrorCode(error[key], depth + 1);
+    if (code !== undefined) return code;
+  }
+  return undefined;
+}
+
+/**
+ * Decodes the revert carried by an error into
+ * { reason } for require() strings, { name, args } for custom errors or { panic }
+ * Falls back to the reason some wallets only put in the message
+ */
+function decodeRevert(error) {
+  const data = findRevertData(error);
+  if (data) {
+    try {
+      const decoded = decodeErrorData(data);
+      if (decoded && decoded.name === "Error") return { reason: decoded.args[0] };
+      if (decoded && decoded.name === "Panic") return { panic: decoded.args[0] };
+      if (decoded) return { name: decoded.name, args: decoded.args };
+    } catch (decodeError) {
+      console.warn("Failed to decode revert data:", decodeError);
+    }
+  }
+
+  const message = findRevertMessage(error);
+  return message ? { reason: message } : null;
+}
+
+/**
+ * Finds hex revert data anywhere in a wrapped error
+ */
+function findRevertData(error, depth = 0) {
+  if (!error || depth > 5) return null;
+  if (typeof error === "string") {
+    return /^0x[0-9a-fA-F]{8}/.test(error) ? error : null;
+  }
+  if (typeof error !== "object") return null;
+
+  for (const key of ["data", ...NESTED_ERROR_KEYS]) {
+    const data = findRevertData(error[key], depth + 1);
+    if (data) return data;
+  }
+  return null;
+}
+
+/**
+ * Extracts a revert reason from an error message such as
+ * "execution reverted: SL" or a bare code thrown by the local quote math
+ */
+function findRevertMessage(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 5) return null;
+
+  if (typeof error.message === "string") {
+    if (REVERT_MESSAGES[error.message]) return error.message;
+    const match = /reverted(?: with reason string)?:?\s*["']?([A-Za-z0-9_]+)["']?/.exec(error.message);
+    if (match && match[1] !== "without") return match[1];
+  }
+
+  for (const key of NESTED_ERROR_KEYS) {
+    const message = findRevertMessage(error[key], depth + 1);
+    if (message) return message;
+  }
+  return null;
+}
+
+/**
+ * Logs an error and shows its decoded message, or `fallback` when it cannot be decoded
+ */
+function showError(label, error, fallback, context) {
+  console.error(label + ":", error);
+  showToast(describeError(error, context) || fallback, "red");
+}
@@ -0,0 +1,66 @@
+// Test-token faucet of the current chain (deployment.faucetUrl), served by scripts/faucet.cjs
+
+/**
+ * Shows "Get test tokens" while a wallet is connected to a chain that has a faucet
+ */
+function renderFaucetButton() {
+  const available = Boolean(address && deployment && deployment.faucetUrl);
+  document.getElementById("faucet").classList.toggle("hidden", !available);
+}
+
+/**
+ * Describes one faucet transfer, e.g. "25 TKNA", formatting `amount` (token units)
+ * with the decimals of the pool token that was sent
+ */
+function describeFaucetTransfer(transfer, amount) {
+  const token = getPoolTokens().find(candidate => candidate.address.toLowerCase() === transfer.address.toLowerCase());
+  if (!token) return `${amount} ${transfer.symbol}`;
+  return `${formatDisplay(parseUnits(amount, token.decimals), token.decimals)} ${transfer.symbol}`;
+}
+
+/**
+ * Asks the faucet for TokenA and TokenB for the connected account,
+ * then reloads the balances once the transfers are mined
+ */
+async function requestTestTokens() {
+  if (!address) {
+    showToast(t("wallet.connectFirst"), "red");
+    return;
+  }
+  if (!requireDeployment()) return;
+
+  const button = document.getElementById("faucet");
+  button.disabled = true;
+  showToast(t("faucet.sending"), "orange");
+
+  try {
+    let response;
+    try {
+      response = await fetch(deployment.faucetUrl, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ address }),
+      });
+    } catch (error) {
+      console.error("Faucet unreachable:", error);
+      showToast(t("faucet.unavailable"), "red");
+      return;
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (response.status === 429) {
+      showToast(t("faucet.rateLimited", { minutes: Math.ceil(body.retryAfter / 60) }), "red");
+    } else if (response.status === 503) {
+      showToast(t("faucet.empty"), "red");
+    } else if (!response.ok) {
+      console.error("Faucet request failed:", response.status, body.error);
+      showToast(t("faucet.failed"), "red");
+    } else {
+      showToast(t("faucet.sent", { tokens: body.transfers.map(transfer => describeFaucetTransfer(transfer, body.amount)).join(" + ") }), "green");
+      await setBalanceTokenA();
+      await setBalanceTokenB();
+    }
+  } finally {
+    button.disabled = false;
+  }
+}
@@ -0,0 +1,355 @@
+// Liquidity management (addLiquidity / removeLiquidity)
+
+/**
+ * Pool balance of TokenA held by the exchange contract
+ */
+let poolReserveA = 0n;
+
+/**
+ * Pool balance of TokenB held by the exchange contract
+ */
+let poolReserveB = 0n;
+
+/**
+ * Total supply of SSLP liquidity tokens
+ */
+let lpTotalSupply = 0n;
+
+/**
+ * SSLP balance of the connected account
+ */
+let lpBalance = 0n;
+
+/**
+ * Reloads pool balances, LP supply and the connected account's
+ * SSLP balance, then refreshes the liquidity panel
+ */
+async function refreshLiquidity() {
+  try {
+    await refreshPoolReserves();
+    lpTotalSupply = await readContract(swapInstance, "totalSupply");
+    if (address) {
+      lpBalance = await readContract(swapInstance, "balanceOf", [address]);
+    }
+
+    renderLiquidity();
+    setValueTokenToSpend();
+    await updateAddLiquidityButton();
+  } catch (error) {
+    console.error("Failed to load pool state:", error);
+    showToast(t("liquidity.loadFailed"), "red");
+  }
+}
+
+/**
+ * Shows the last loaded pool balances, the account's balances and position, and the remove preview
+ */
+function renderLiquidity() {
+  renderBalance("poolReserveA", poolReserveA, decimalsA);
+  renderBalance("poolReserveB", poolReserveB, decimalsB);
+  renderBalance("balanceLP", lpBalance, decimalsLP);
+  renderBalance("liquidityBalanceTokenA", balanceA, decimalsA);
+  renderBalance("liquidityBalanceTokenB", balanceB, decimalsB);
+
+  renderPosition();
+  setRemovePreview();
+}
+
+/**
+ * Fills the "My liquidity" card: SSLP balance, share of the SSLP supply,
+ * the TokenA/TokenB it redeems for right now and the pool's total value locked
+ */
+function renderPosition() {
+  const { amountA, amountB } = getRedeemableAmounts(lpBalance);
+  // Share in percent scaled by 1e4, so dust positions still show up as "<0.0001%"
+  const share = lpTotalSupply > 0n ? (lpBalance * 100n * 10000n) / lpTotalSupply : 0n;
+
+  renderBalance("positionLP", lpBalance, decimalsLP);
+  document.getElementById("positionShare").textContent =
+    (share === 0n && lpBalance > 0n ? "<" + formatDisplay(1n, 4) : formatDisplay(share, 4)) + "%";
+  renderBalance("positionA", amountA, decimalsA);
+  renderBalance("positionB", amountB, decimalsB);
+  renderBalance("tvlA", poolReserveA, decimalsA);
+  renderBalance("tvlB", poolReserveB, decimalsB);
+}
+
+/**
+ * TokenA/TokenB returned for burning `liquidity` SSLP at the current pool balances,
+ * using the contract's pro-rata formula
+ */
+function getRedeemableAmounts(liquidity) {
+  if (lpTotalSupply === 0n) return { amountA: 0n, amountB: 0n };
+  return getWithdrawAmounts(liquidity, poolReserveA, poolReserveB, lpTotalSupply);
+}
+
+/**
+ * Reads the TokenA/TokenB balances held by the exchange contract,
+ * which the contract keeps in sync with its reserves
+ */
+async function refreshPoolReserves() {
+  const [tokenA, tokenB] = getPoolTokens();
+
+  poolReserveA = await readContract(tokenA, "balanceOf", [exchange_address]);
+  poolReserveB = await readContract(tokenB, "balanceOf", [exchange_address]);
+}
+
+/**
+ * Fills TokenB amount from TokenA input using current pool ratio
+ * Mirrors the contract's optimal amount calculation
+ */
+function setLiquidityAmountB() {
+  hidePreflight("add");
+  const amountA = parseAmountInput(".ADD-A", decimalsA);
+  if (amountA !== null && poolReserveA > 0n && poolReserveB > 0n) {
+    const amountB = quoteLiquidityAmount(amountA, poolReserveA, poolReserveB);
+    document.querySelector(".ADD-B").value = formatInputAmount(amountB, decimalsB);
+  }
+  updateAddLiquidityButton();
+}
+
+/**
+ * Fills TokenA amount from TokenB input using current pool ratio
+ */
+function setLiquidityAmountA() {
+  hidePreflight("add");
+  const amountB = parseAmountInput(".ADD-B", decimalsB);
+  if (amountB !== null && poolReserveA > 0n && poolReserveB > 0n) {
+    const amountA = quoteLiquidityAmount(amountB, poolReserveB, poolReserveA);
+    document.querySelector(".ADD-A").value = formatInputAmount(amountA, decimalsA);
+  }
+  updateAddLiquidityButton();
+}
+
+/**
+ * Fills one of the add inputs with the exact wallet balance
+ * and adjusts the other side to the pool ratio
+ */
+function setMaxLiquidityAmount(token) {
+  if (token === "A") {
+    document.querySelector(".ADD-A").value = formatInputAmount(balanceA, decimalsA);
+    setLiquidityAmountB();
+  } else {
+    document.querySelector(".ADD-B").value = formatInputAmount(balanceB, decimalsB);
+    setLiquidityAmountA();
+  }
+}
+
+/**
+ * Returns the exchange allowance granted by the connected account for a token
+ */
+async function getExchangeAllowance(token) {
+  return readContract(token, "allowance", [address, exchange_address]);
+}
+
+/**
+ * Updates the add button label to show the next pending step
+ * (TokenA approval, TokenB approval or the deposit itself)
+ */
+async function updateAddLiquidityButton() {
+  const button = document.getElementById("liquidity-add-submit");
+  const amountA = parseAmountInput(".ADD-A", decimalsA);
+  const amountB = parseAmountInput(".ADD-B", decimalsB);
+  if (!address || amountA === null || amountB === null) {
+    button.textContent = t("liquidity.add");
+    return;
+  }
+
+  try {
+    const [tokenA, tokenB] = getPoolTokens();
+    if (await getExchangeAllowance(tokenA) < amountA) {
+      button.textContent = t("swap.approve", { token: tokenA.name });
+    } else if (await getExchangeAllowance(tokenB) < amountB) {
+      button.textContent = t("swap.approve", { token: tokenB.name });
+    } else {
+      button.textContent = t("liquidity.add");
+    }
+  } catch (error) {
+    console.error("Failed to read allowances:", error);
+  }
+}
+
+/**
+ * Approves the exchange to spend `amount` of a token if the current
+ * allowance is lower, waiting for the approval to settle before returning
+ * Returns false if the approval did not confirm
+ */
+async function approveForLiquidity(token, amount) {
+  if (await getExchangeAllowance(token) >= amount) return true;
+
+  const { status } = await approveExchange(token, getApprovalAmount(amount), "add");
+  return status === "confirmed";
+}
+
+/**
+ * Token whose balance or allowance cannot cover what addLiquidity takes from it,
+ * so ERC-20 errors name it. TokenA is pulled first, so it is checked first
+ * Returns undefined when both are covered or the amounts cannot be predicted
+ */
+async function getShortDepositToken(amountADesired, amountBDesired) {
+  try {
+    const { amountA, amountB } = getDepositAmounts(amountADesired, amountBDesired, poolReserveA, poolReserveB, lpTotalSupply);
+    const [tokenA, tokenB] = getPoolTokens();
+    for (const [token, amount] of [[tokenA, amountA], [tokenB, amountB]]) {
+      const balance = await readContract(token, "balanceOf", [address]);
+      if (balance < amount || (await getExchangeAllowance(token)) < amount) return token;
+    }
+  } catch (error) {
+    console.warn("Failed to find the token short for the deposit:", error);
+  }
+  return undefined;
+}
+
+/**
+ * Adds liquidity with both token amounts, approving each token first
+ * when needed. Minimum amounts are derived from the max slippage setting
+ */
+async function handleAddLiquidity() {
+  if (!requireDeployment()) return;
+  if (!address) {
+    showToast(t("wallet.connectFirst"), "red");
+    return;
+  }
+
+  const amountADesired = parseAmountInput(".ADD-A", decimalsA);
+  const amountBDesired = parseAmountInput(".ADD-B", decimalsB);
+  const slippageBps = getSlippageBps(".SLIPPAGE");
+
+  if (amountADesired === null || amountBDesired === null) {
+    showToast(t("liquidity.invalidAmounts"), "red");
+    return;
+  }
+  if (slippageBps === null) {
+    showToast(t("common.invalidSlippage"), "red");
+    return;
+  }
+
+  // The first deposit sets the price, so both amounts are taken as is
+  const amountAMin = lpTotalSupply === 0n ? amountADesired : (amountADesired * (10000n - slippageBps)) / 10000n;
+  const amountBMin = lpTotalSupply === 0n ? amountBDesired : (amountBDesired * (10000n - slippageBps)) / 10000n;
+  const deadline = Math.floor(Date.now() / 1000) + 300;
+
+  try {
+    const [tokenA, tokenB] = getPoolTokens();
+    if (!(await approveForLiquidity(tokenA, amountADesired))) return;
+    if (!(await approveForLiquidity(tokenB, amountBDesired))) return;
+
+    const { status } = await submitTransaction(
+      prepareWrite(swapInstance, "addLiquidity", [
+        tokena_address,
+        tokenb_address,
+        amountADesired,
+        amountBDesired,
+        amountAMin,
+        amountBMin,
+        address,
+        deadline,
+      ]),
+      "Add",
+      `${formatDisplay(amountADesired, decimalsA)} TokenA + ${formatDisplay(amountBDesired, decimalsB)} TokenB`,
+      {
+        target: "add",
+        describeResult: ({ amountA, amountB, liquidity }) =>
+          t("liquidity.minted", {
+            liquidity: formatDisplay(liquidity, decimalsLP),
+            amountA: formatDisplay(amountA, decimalsA),
+            amountB: formatDisplay(amountB, decimalsB),
+          }),
+      }
+    );
+    if (status === "confirmed") {
+      document.querySelector(".ADD-A").value = "";
+      document.querySelector(".ADD-B").value = "";
+      hidePreflight("add");
+      await setBalanceTokenA();
+      await setBalanceTokenB();
+      await refreshLiquidity();
+    }
+  } catch (error) {
+    const token = await getShortDepositToken(amountADesired, amountBDesired);
+    showError("Add liquidity error", error, t("liquidity.addFailed"), { action: "add", token });
+    await updateAddLiquidityButton();
+  }
+}
+
+/**
+ * Returns the SSLP amount to burn from the percentage input,
+ * or null if the percentage is malformed or outside 0-100
+ */
+function getLiquidityToRemove() {
+  try {
+    const percentBps = parseUnits(normalizeAmountInput(document.querySelector(".REMOVE-PCT").value), 2);
+    if (percentBps === 0n || percentBps > 10000n) return null;
+    return (lpBalance * percentBps) / 10000n;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Previews TokenA/TokenB returned for the selected SSLP percentage
+ */
+function setRemovePreview() {
+  const liquidity = getLiquidityToRemove();
+  const { amountA, amountB } = getRedeemableAmounts(liquidity === null ? 0n : liquidity);
+
+  renderBalance("removePreviewA", amountA, decimalsA);
+  renderBalance("removePreviewB", amountB, decimalsB);
+}
+
+/**
+ * Burns the selected percentage of the account's SSLP
+ * and withdraws the underlying TokenA/TokenB
+ */
+async function handleRemoveLiquidity() {
+  if (!requireDeployment()) return;
+  if (!address) {
+    showToast(t("wallet.connectFirst"), "red");
+    return;
+  }
+
+  const liquidity = getLiquidityToRemove();
+  const slippageBps = getSlippageBps(".SLIPPAGE");
+
+  if (liquidity === null || liquidity === 0n) {
+    showToast(t("liquidity.invalidPercentage"), "red");
+    return;
+  }
+  if (slippageBps === null) {
+    showToast(t("common.invalidSlippage"), "red");
+    return;
+  }
+
+  const { amountA, amountB } = getRedeemableAmounts(liquidity);
+  const amountAMin = (amountA * (10000n - slippageBps)) / 10000n;
+  const amountBMin = (amountB * (10000n - slippageBps)) / 10000n;
+  const deadline = Math.floor(Date.now() / 1000) + 300;
+
+  try {
+    const { status } = await submitTransaction(
+      prepareWrite(swapInstance, "removeLiquidity", [
+        tokena_address,
+        tokenb_address,
+        liquidity,
+        amountAMin,
+        amountBMin,
+        address,
+        deadline,
+      ]),
+      "Remove",
+      `${formatDisplay(liquidity, decimalsLP)} SSLP`,
+      {
+        target: "remove",
+        describeResult: ({ amountA, amountB }) => `${formatDisplay(amountA, decimalsA)} TokenA + ${formatDisplay(amountB, decimalsB)} TokenB`,
+      }
+    );
+    if (status === "confirmed") {
+      document.querySelector(".REMOVE-PCT").value = "";
+      hidePreflight("remove");
+      await setBalanceTokenA();
+      await setBalanceTokenB();
+      await refreshLiquidity();
+    }
+  } catch (error) {
+    showError("Remove liquidity error", error, t("liquidity.removeFailed"), { action: "remove" });
+  }
+}
@@ -0,0 +1,127 @@
+// Live pool state: follows new blocks and refreshes the UI when pool or account activity is seen
+
+/**
+ * How often the block number is polled when the wallet cannot push new heads, in milliseconds
+ */
+const POOL_POLL_INTERVAL = 4000;
+
+/**
+ * keccak256("Approval(address,address,uint256)")
+ */
+const APPROVAL_TOPIC = "0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925";
+
+/**
+ * Ends the block subscription of the current chain, if any
+ */
+let unsubscribeBlocks;
+
+/**
+ * Last block whose logs were already inspected
+ */
+let lastSeenBlock;
+
+/**
+ * Set while a check is running; new blocks seen meanwhile trigger one more pass
+ */
+let watcherBusy = false;
+let watcherPending = false;
+
+/**
+ * Starts following new blocks of the current chain, through an eth_subscribe
+ * newHeads subscription when the wallet supports it and polling otherwise
+ */
+async function startPoolWatcher() {
+  await stopPoolWatcher();
+  if (!deploymentReady) return;
+
+  try {
+    lastSeenBlock = BigInt(await provider.getBlockNumber());
+    unsubscribeBlocks = await subscribeNewBlocks(ethereumProvider, checkNewBlocks, POOL_POLL_INTERVAL);
+  } catch (error) {
+    console.error("Failed to start pool watcher:", error);
+  }
+}
+
+/**
+ * Closes the subscription or poller of the previous chain or wallet
+ */
+async function stopPoolWatcher() {
+  if (!unsubscribeBlocks) return;
+
+  const unsubscribe = unsubscribeBlocks;
+  unsubscribeBlocks = undefined;
+  await unsubscribe();
+}
+
+/**
+ * Inspects the logs of the blocks mined since the last check and
+ * refreshes the pool state when any of them concerns the pool or the account
+ */
+async function checkNewBlocks() {
+  if (watcherBusy) {
+    watcherPending = true;
+    return;
+  }
+  watcherBusy = true;
+
+  try {
+    do {
+      watcherPending = false;
+      const latest = BigInt(await provider.getBlockNumber());
+      if (latest <= lastSeenBlock) continue;
+
+      // Pages of HISTORY_BLOCK_RANGE blocks like the history, so a long gap (a sleeping tab)
+      // never asks the node for an unbounded range; one relevant log is enough to refresh
+      let relevant = false;
+      for (let fromBlock = lastSeenBlock + 1n; fromBlock <= latest && !relevant; fromBlock += HISTORY_BLOCK_RANGE) {
+        const toBlock = fromBlock + HISTORY_BLOCK_RANGE - 1n < latest ? fromBlock + HISTORY_BLOCK_RANGE - 1n : latest;
+        const logs = await getLogs(Number(fromBlock), Number(toBlock), [exchange_address, tokena_address, tokenb_address]);
+        relevant = logs.some(isRelevantLog);
+      }
+      lastSeenBlock = latest;
+
+      if (relevant) {
+        await refreshPoolState();
+      }
+    } while (watcherPending);
+  } catch (error) {
+    console.error("Failed to check new blocks:", error);
+  } finally {
+    watcherBusy = false;
+  }
+}
+
+/**
+ * Any exchange event (SwapExecuted, LiquidityAdded, LiquidityRemoved, LP transfers) is relevant;
+ * token Transfer/Approval logs only when they involve the pool or the connected account
+ */
+function isRelevantLog(log) {
+  if (log.address.toLowerCase() === exchange_address.toLowerCase()) return true;
+
+  const [topic, from, to] = log.topics;
+  if (topic !== TRANSFER_TOPIC && topic !== APPROVAL_TOPIC) return false;
+
+  const watched = [exchange_address, address].filter(Boolean).map(account => account.toLowerCase());
+  return [from, to].some(party => party && watched.includes("0x" + party.slice(26)));
+}
+
+/**
+ * Reloads price, reserves, balances and allowance, re-runs the active quote
+ * and flags it when the expected output moved materially
+ */
+async function refreshPoolState() {
+  const previousAmountOut = quotedAmountOut;
+
+  await setPrice();
+  if (address) {
+    await setBalanceTokenA();
+    await setBalanceTokenB();
+    await checkAllowance();
+  }
+  await refreshLiquidity();
+  await pollHistory();
+
+  if (quoteChangedMaterially(previousAmountOut, quotedAmountOut)) {
+    flagQuoteChange(previousAmountOut, quotedAmountOut);
+  }
+}
@@ -0,0 +1,136 @@
+// Chain selection from the deployment registry (deployments.js)
+
+/**
+ * Chain id the wallet is currently connected to
+ */
+let currentChainId;
+
+/**
+ * Registry entry for the current chain, undefined on unsupported networks
+ */
+let deployment;
+
+/**
+ * Whether every contract of the current deployment has code on chain
+ */
+let deploymentReady = false;
+
+/**
+ * Contract addresses for the current chain, filled by selectDeployment()
+ */
+let exchange_address;
+let tokena_address;
+let tokenb_address;
+
+/**
+ * Picks addresses and ABIs for the wallet's chain from the registry
+ * Shows the network switcher and returns false on unsupported chains
+ * or when the deployed contracts have no code on this chain
+ */
+async function selectDeployment() {
+  currentChainId = Number((await provider.getNetwork()).chainId);
+  deployment = deployments[currentChainId];
+  deploymentReady = false;
+  renderFaucetButton();
+
+  if (!deployment) {
+    showNetworkBanner();
+    return false;
+  }
+  document.getElementById("network-banner").classList.add("hidden");
+
+  const { exchange, tokena, tokenb } = deployment.contracts;
+  exchange_address = exchange.address;
+  exchange_abi = contract_abis[exchange.contract];
+  tokena_address = tokena.address;
+  tokena_abi = contract_abis[tokena.contract];
+  tokenb_address = tokenb.address;
+  tokenb_abi = contract_abis[tokenb.contract];
+
+  deploymentReady = await verifyDeploymentCode();
+  return deploymentReady;
+}
+
+/**
+ * Checks that every contract of the deployment has bytecode on the current chain
+ */
+async function verifyDeploymentCode() {
+  for (const { contract, address: contractAddress } of Object.values(deployment.contracts)) {
+    const code = await provider.getCode(contractAddress);
+    if (!code || code === "0x") {
+      console.warn(`No code for ${contract} at ${contractAddress} on chain ${currentChainId}`);
+      showToast(t("network.contractMissing", { contract, chain: deployment.chainName }), "red");
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Guard for write actions: refuses to send transactions
+ * unless the current chain has a verified deployment
+ */
+function requireDeployment() {
+  if (deploymentReady) return true;
+
+  showToast(t(deployment ? "network.notDeployed" : "network.unsupported"), "red");
+  return false;
+}
+
+/**
+ * Lists a switch button for every chain in the registry
+ */
+function showNetworkBanner() {
+  const banner = document.getElementById("network-banner");
+  const options = document.getElementById("network-options");
+
+  options.innerHTML = "";
+  for (const [chainId, { chainName }] of Object.entries(deployments)) {
+    const button = document.createElement("button");
+    button.textContent = chainName;
+    button.onclick = () => switchNetwork(chainId);
+    options.appendChild(button);
+  }
+  banner.classList.remove("hidden");
+}
+
+/**
+ * Asks the wallet to switch to `chainId`, adding the network first
+ * if the wallet does not know it (error 4902), then reloads the dApp state
+ */
+async function switchNetwork(chainId) {
+  const hexChainId = "0x" + Number(chainId).toString(16);
+
+  try {
+    await ethereumProvider.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hexChainId }] });
+  } catch (error) {
+    if (error.code !== 4902) {
+      console.error("Network switch failed:", error);
+      showToast(t("network.switchRejected"), "red");
+      return;
+    }
+
+    try {
+      const { chainName, nativeCurrency, rpcUrls, blockExplorerUrls } = deployments[chainId];
+      await ethereumProvider.request({
+        method: "wallet_addEthereumChain",
+        params: [{
+          chainId: hexChainId,
+          chainName,
+          nativeCurrency,
+          rpcUrls,
+          blockExplorerUrls: blockExplorerUrls.length > 0 ? blockExplorerUrls : undefined,
+        }],
+      });
+    } catch (addError) {
+      console.error("Adding network failed:", addError);
+      showToast(t("network.addFailed", { chain: deployments[chainId].chainName }), "red");
+      return;
+    }
+  }
+
+  await init();
+  if (address) {
+    await connect();
+  }
+}
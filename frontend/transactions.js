@@ -0,0 +1,265 @@
+// Transaction tracker: persists sent transactions and follows them until they settle, across reloads
+
+/**
+ * localStorage key holding the tracked transactions
+ */
+const TX_STORAGE_KEY = "SwapTransactions";
+
+/**
+ * How often pending transactions are checked, in milliseconds
+ */
+const TX_POLL_INTERVAL = 3000;
+
+/**
+ * Time a transaction may stay unknown to the node before it is considered dropped, in milliseconds
+ */
+const TX_DROP_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Number of settled transactions kept for display
+ */
+const TX_HISTORY_SIZE = 10;
+
+/**
+ * Tracked transactions, newest first:
+ * { hash, chainId, from, kind, description, nonce, status, submittedAt, lastSeenAt }
+ * kind is "Swap", "Approve", "Revoke", "Add" or "Remove", translated when shown;
+ * status is "pending", "confirmed", "failed", "replaced" or "dropped"
+ */
+let trackedTransactions = loadTrackedTransactions();
+
+/**
+ * Callers waiting for a transaction to settle, keyed by hash
+ */
+const transactionWaiters = new Map();
+
+/**
+ * Interval id of the pending transactions poller
+ */
+let transactionTimer;
+
+/**
+ * Set while a polling pass is running
+ */
+let transactionPollBusy = false;
+
+/**
+ * Reads the tracked transactions saved by a previous session
+ */
+function loadTrackedTransactions() {
+  try {
+    return JSON.parse(localStorage.getItem(TX_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Saves pending transactions and the latest settled ones
+ */
+function saveTrackedTransactions() {
+  const pending = trackedTransactions.filter(tx => tx.status === "pending");
+  const settled = trackedTransactions.filter(tx => tx.status !== "pending").slice(0, TX_HISTORY_SIZE);
+  trackedTransactions = [...pending, ...settled].sort((a, b) => b.submittedAt - a.submittedAt);
+  saveToLocalStorage(TX_STORAGE_KEY, JSON.stringify(trackedTransactions));
+}
+
+/**
+ * Simulates a prepared write from the connected account and prices its gas
+ * Throws the revert error when the call would fail
+ */
+async function simulateTransaction(call) {
+  const { result, gas } = await simulateWrite(call, address);
+  const gasPrice = await getGasPrice();
+  return { result, gas, fee: gas * gasPrice };
+}
+
+/**
+ * Shows the estimated fee and the simulated result in the `${target}-preflight` rows
+ */
+function renderPreflight(target, { fee }, result) {
+  const symbol = deployment && deployment.nativeCurrency ? deployment.nativeCurrency.symbol : "ETH";
+  document.getElementById(target + "Fee").textContent = `${formatDisplay(fee, 18, { maxFractionDigits: 6 })} ${symbol}`;
+  document.getElementById(target + "Simulated").textContent = result;
+  document.getElementById(target + "-preflight").classList.remove("hidden");
+}
+
+/**
+ * Hides the preflight rows once the inputs they were computed for change
+ */
+function hidePreflight(target) {
+  document.getElementById(target + "-preflight").classList.add("hidden");
+}
+
+/**
+ * Simulates a prepared write, then sends it from the connected account and tracks it until it settles
+ * `preflight` ({ target, describeResult }) tells where to show the fee and how to describe the simulated return value
+ * Rejects without sending if the simulation reverts or the wallet refuses to send it;
+ * otherwise resolves with the settled transaction record once it is mined, replaced or dropped,
+ * or with the still pending record if the wallet changes chain or disconnects first
+ */
+async function submitTransaction(call, kind, description, preflight) {
+  try {
+    const simulation = await simulateTransaction(call);
+    renderPreflight(preflight.target, simulation, preflight.describeResult(simulation.result));
+  } catch (error) {
+    hidePreflight(preflight.target);
+    throw error;
+  }
+
+  // Only the submission is awaited; the outcome is picked up by the receipt poller.
+  // The nonce is stored right away so a replacement is recognised even before the first poll
+  const { hash, nonce } = await sendWrite(call, address);
+
+  const now = Date.now();
+  trackedTransactions.unshift({
+    hash,
+    chainId: currentChainId,
+    from: address,
+    kind,
+    description,
+    nonce: nonce.toString(),
+    status: "pending",
+    submittedAt: now,
+    lastSeenAt: now,
+  });
+  saveTrackedTransactions();
+  renderTransactions();
+  showToast(t("tx.submitted", { kind: t("kind." + kind) }), "orange");
+
+  const settled = new Promise(resolve => transactionWaiters.set(hash, resolve));
+  resumeTransactions();
+  return settled;
+}
+
+/**
+ * Starts polling when transactions are pending. Called on load and after every send
+ */
+function resumeTransactions() {
+  renderTransactions();
+  if (transactionTimer || !trackedTransactions.some(tx => tx.status === "pending")) return;
+
+  transactionTimer = setInterval(pollTransactions, TX_POLL_INTERVAL);
+  pollTransactions();
+}
+
+/**
+ * Checks every pending transaction of the current chain once
+ */
+async function pollTransactions() {
+  if (transactionPollBusy) return;
+  transactionPollBusy = true;
+
+  try {
+    for (const tx of trackedTransactions.filter(tx => tx.status === "pending" && tx.chainId === currentChainId)) {
+      try {
+        await updateTransaction(tx);
+      } catch (error) {
+        console.error("Failed to check transaction " + tx.hash + ":", error);
+      }
+    }
+  } finally {
+    transactionPollBusy = false;
+  }
+
+  saveTrackedTransactions();
+  renderTransactions();
+
+  if (!trackedTransactions.some(tx => tx.status === "pending")) {
+    clearInterval(transactionTimer);
+    transactionTimer = undefined;
+  }
+}
+
+/**
+ * Settles a transaction from its receipt, or detects that another transaction
+ * with the same nonce was mined instead (sped up or cancelled in the wallet)
+ * or that the node forgot it
+ */
+async function updateTransaction(tx) {
+  const receipt = await provider.getTransactionReceipt(tx.hash).catch(() => null);
+  if (receipt) {
+    settleTransaction(tx, receipt.status === 1 ? "confirmed" : "failed");
+    return;
+  }
+
+  const transaction = await provider.getTransaction(tx.hash).catch(() => null);
+  if (transaction) {
+    tx.nonce = transaction.nonce.toString();
+    tx.lastSeenAt = Date.now();
+    return;
+  }
+
+  if (tx.nonce !== null) {
+    const minedNonce = BigInt(await provider.getTransactionCount(tx.from, "latest"));
+    if (minedNonce > BigInt(tx.nonce)) {
+      settleTransaction(tx, "replaced");
+      return;
+    }
+  }
+
+  if (Date.now() - tx.lastSeenAt > TX_DROP_TIMEOUT) {
+    settleTransaction(tx, "dropped");
+  }
+}
+
+/**
+ * Records the final status, notifies the user and wakes up any waiting caller
+ */
+function settleTransaction(tx, status) {
+  tx.status = status;
+
+  const colors = { confirmed: "green", failed: "red", replaced: "orange", dropped: "red" };
+  showToast(t("tx." + status, { kind: t("kind." + tx.kind) }), colors[status]);
+
+  const resolve = transactionWaiters.get(tx.hash);
+  if (resolve) {
+    transactionWaiters.delete(tx.hash);
+    resolve(tx);
+  }
+}
+
+/**
+ * Lets every caller waiting for a transaction go on with its record as it stands
+ * Called when the wallet changes chain or disconnects, after which the transaction may
+ * never settle where the dApp looks; it stays tracked and is reported once it does
+ */
+function releaseTransactionWaiters() {
+  for (const [hash, resolve] of transactionWaiters) {
+    resolve(trackedTransactions.find(tx => tx.hash === hash));
+  }
+  transactionWaiters.clear();
+}
+
+/**
+ * Renders the recent transactions list and the pending activity indicator
+ */
+function renderTransactions() {
+  const list = document.getElementById("tx-list");
+  const pending = trackedTransactions.filter(tx => tx.status === "pending").length;
+  list.innerHTML = "";
+
+  for (const tx of trackedTransactions) {
+    const row = document.createElement("div");
+    row.className = "history-entry";
+
+    const kind = document.createElement("span");
+    kind.className = "history-kind";
+    kind.textContent = t("kind." + tx.kind);
+
+    const description = document.createElement("span");
+    description.className = "history-description";
+    description.textContent = tx.description;
+
+    const details = document.createElement("div");
+    details.className = "history-details";
+    details.textContent = `${t("tx.status." + tx.status)} · ${tx.hash.slice(0, 10)}...`;
+
+    row.append(kind, description, details);
+    list.appendChild(row);
+  }
+
+  document.getElementById("tx-activity").classList.toggle("hidden", trackedTransactions.length === 0);
+  document.getElementById("spinner").classList.toggle("active", pending > 0);
+  document.getElementById("spinner-label").textContent = t("tx.pending", { count: pending });
+}
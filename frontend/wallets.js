@@ -0,0 +1,233 @@
+// Wallet discovery (EIP-6963) with a fallback to the legacy window.ethereum
+
+/**
+ * EIP-1193 provider of the wallet in use
+ */
+let ethereumProvider;
+
+/**
+ * rdns of the wallet in use, persisted once the account is connected
+ */
+let ethereumProviderRdns;
+
+/**
+ * Wallets announced by EIP-6963, keyed by provider uuid
+ */
+const announcedWallets = new Map();
+
+/**
+ * localStorage key holding the rdns of the last chosen wallet
+ */
+const WALLET_STORAGE_KEY = "SwapWallet";
+
+/**
+ * Provider the EIP-1193 event listeners are currently attached to
+ */
+let subscribedProvider;
+
+window.addEventListener("eip6963:announceProvider", event => {
+  const { info, provider } = event.detail;
+  announcedWallets.set(info.uuid, { info, provider });
+
+  // Late announcements still show up if the picker is open
+  if (!document.getElementById("wallet-modal").classList.contains("hidden")) {
+    renderWalletList();
+  }
+});
+
+/**
+ * Asks injected wallets to announce themselves and waits briefly for them
+ * Resolves with the list of available wallets
+ */
+function discoverWallets(timeout = 300) {
+  window.dispatchEvent(new Event("eip6963:requestProvider"));
+  return new Promise(resolve => setTimeout(() => resolve(getAvailableWallets()), timeout));
+}
+
+/**
+ * Returns announced wallets plus window.ethereum when no announced
+ * wallet already exposes that same provider
+ */
+function getAvailableWallets() {
+  const wallets = [...announcedWallets.values()];
+  const legacy = window.ethereum;
+
+  if (legacy && !wallets.some(wallet => wallet.provider === legacy)) {
+    wallets.push({
+      info: { uuid: "legacy", name: t("wallet.browser"), icon: "", rdns: "legacy" },
+      provider: legacy,
+    });
+  }
+  return wallets;
+}
+
+/**
+ * Returns the wallet chosen in a previous session, if it is still available
+ */
+function getRememberedWallet() {
+  const rdns = getFromLocalStorage(WALLET_STORAGE_KEY);
+  return getAvailableWallets().find(wallet => wallet.info.rdns === rdns);
+}
+
+/**
+ * Opens the wallet picker, or connects straight away
+ * when there is a single wallet to choose from
+ */
+function openWalletPicker() {
+  const wallets = getAvailableWallets();
+  if (wallets.length === 1) {
+    selectWallet(wallets[0].info.uuid);
+    return;
+  }
+
+  renderWalletList();
+  document.getElementById("wallet-modal").classList.remove("hidden");
+}
+
+/**
+ * Closes the wallet picker without connecting
+ */
+function closeWalletPicker() {
+  document.getElementById("wallet-modal").classList.add("hidden");
+}
+
+/**
+ * Lists every available wallet with its name and icon
+ */
+function renderWalletList() {
+  const list = document.getElementById("wallet-list");
+  list.innerHTML = "";
+
+  for (const { info } of getAvailableWallets()) {
+    const item = document.createElement("div");
+    item.className = "wallet-option";
+    item.onclick = () => selectWallet(info.uuid);
+
+    if (info.icon) {
+      const icon = document.createElement("img");
+      icon.src = info.icon;
+      icon.alt = "";
+      item.appendChild(icon);
+    }
+
+    const name = document.createElement("span");
+    name.textContent = info.name;
+    item.appendChild(name);
+
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Makes `wallet` the provider used for reads and transactions
+ */
+function useWallet(wallet) {
+  ethereumProvider = wallet.provider;
+  ethereumProviderRdns = wallet.info.rdns;
+  subscribeWalletEvents();
+}
+
+/**
+ * Moves the EIP-1193 listeners to the provider in use
+ */
+function subscribeWalletEvents() {
+  if (subscribedProvider === ethereumProvider) return;
+
+  if (subscribedProvider && subscribedProvider.removeListener) {
+    subscribedProvider.removeListener("accountsChanged", handleAccountsChanged);
+    subscribedProvider.removeListener("chainChanged", handleChainChanged);
+    subscribedProvider.removeListener("disconnect", handleDisconnect);
+  }
+
+  if (ethereumProvider.on) {
+    ethereumProvider.on("accountsChanged", handleAccountsChanged);
+    ethereumProvider.on("chainChanged", handleChainChanged);
+    ethereumProvider.on("disconnect", handleDisconnect);
+  }
+  subscribedProvider = ethereumProvider;
+}
+
+/**
+ * Follows account switches in the wallet. An empty list means
+ * the wallet was locked or the site lost its permission
+ */
+async function handleAccountsChanged(accounts) {
+  if (!address) return;
+
+  if (accounts.length === 0) {
+    clearAccount();
+    showToast(t("wallet.locked"), "orange");
+    return;
+  }
+
+  address = ethers.getAddress(accounts[0]);
+  await loadAccount();
+  showToast(t("wallet.accountChanged"), "orange");
+}
+
+/**
+ * Rebuilds contract instances for the new chain and reloads all displayed state
+ */
+async function handleChainChanged() {
+  releaseTransactionWaiters();
+  await init();
+  if (address) {
+    await loadAccount();
+  }
+}
+
+/**
+ * Handles the provider losing its connection to every chain
+ */
+function handleDisconnect(error) {
+  console.warn("Wallet provider disconnected:", error);
+  releaseTransactionWaiters();
+  if (address) clearAccount();
+  showToast(t("wallet.connectionLost"), "red");
+}
+
+/**
+ * Ends the session: drops the remembered wallet, asks the wallet
+ * to revoke the site's account permission when supported and resets the UI
+ */
+async function disconnectWallet() {
+  removeFromLocalStorage(WALLET_STORAGE_KEY);
+  removeFromLocalStorage("SwapConected");
+
+  try {
+    await ethereumProvider.request({ method: "wallet_revokePermissions", params: [{ eth_accounts: {} }] });
+  } catch (error) {
+    // Not every wallet supports revoking; the session is cleared on our side anyway
+    console.warn("Permission revoke not supported:", error);
+  }
+
+  clearAccount();
+  showToast(t("wallet.disconnected"), "green");
+}
+
+/**
+ * Switches the dApp to the chosen wallet and connects
+ */
+async function selectWallet(uuid) {
+  const wallet = getAvailableWallets().find(({ info }) => info.uuid === uuid);
+  if (!wallet) return;
+
+  closeWalletPicker();
+  useWallet(wallet);
+
+  await init();
+  await connect();
+}
+
+/**
+ * Disables the connect button when no wallet is injected in the page
+ */
+function showNoWalletAvailable() {
+  showToast(t("wallet.noneAvailable"), "red");
+  const connectBtn = document.getElementById("conect");
+  if (connectBtn) {
+    connectBtn.disabled = true;
+    connectBtn.style.backgroundColor = "#ccc";
+  }
+  renderAccountLabel();
+}
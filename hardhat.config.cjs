@@ -1,6 +1,11 @@
 require("@nomicfoundation/hardhat-toolbox");
 const { vars } = require("hardhat/config");
 require("dotenv").config();
+require("./tasks/deploy.cjs");
+require("./tasks/dev.cjs");
+require("./tasks/faucet.cjs");
+require("./tasks/pool.cjs");
+require("./tasks/verify.cjs");
 
 const INFURA_NODO = process.env.NODO;
 const SEPOLIA_PRIVATE_KEY = process.env.PRKEY;
@@ -9,14 +14,15 @@ const ETHERSCAN_API_KEY = process.env.ETHERSCAN_KEY;
 module.exports = {
   solidity: "0.8.28",
   networks: {
+    // Without NODO the public RPC serves read-only tasks; without PRKEY there is no account to send from
     sepolia: {
-      url: INFURA_NODO,
-      accounts: [SEPOLIA_PRIVATE_KEY],
+      url: INFURA_NODO || "https://rpc.sepolia.org",
+      accounts: SEPOLIA_PRIVATE_KEY ? [SEPOLIA_PRIVATE_KEY] : [],
     },
   },
   etherscan: {
     apiKey: {
-      sepolia: ETHERSCAN_API_KEY,
+      sepolia: ETHERSCAN_API_KEY || "",
     },
   },
 };
\ No newline at end of file
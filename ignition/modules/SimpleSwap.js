@@ -1,22 +1,46 @@
 // SimpleSwap.js
 import { buildModule } from "@nomicfoundation/hardhat-ignition/modules";
+import TokenAModule from "./TokenA.js";
+import TokenBModule from "./TokenB.js";
 
-// Local
-export default buildModule("SimpleSwapModule", (m) => {
-  const SimpleSwapModule = m.contract("SimpleSwap", [
-    "0x5FbDB2315678afecb367f032d93F642f64180aa3",
-    "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512"
-  ]);
-  return { SimpleSwapModule };
-});
+// Far-future deadline for the seed deposit. It must not depend on the deploy time,
+// or resuming a deployment would see changed arguments and refuse to continue.
+const SEED_DEADLINE = 4102444800n; // 2100-01-01
 
-// Sepolia
-/*
-export default buildModule("SimpleSwapModule", (m) => {
-  const SimpleSwapModule = m.contract("SimpleSwap", [
-    "0xf0c9cB1cc7bA04F96e9Eca5EAF56DCb8c280304f",
-    "0x3d725d3c8264bc1927762caCb39EE6E097a170bA"
-  ]);
-  return { SimpleSwapModule };
-});
-*/
\ No newline at end of file
+/**
+ * Builds the SimpleSwap stack: both tokens, the pool over them and optionally its first deposit.
+ * Ignition parameters are only known at deploy time, so the shape of the stack is chosen here:
+ * - existingTokens: use the `tokenA` / `tokenB` parameter addresses instead of deploying the tokens
+ * - seed: approve and deposit `seedAmountA` / `seedAmountB` from the deployer, minting the
+ *   LP tokens to `lpRecipient` (default: the deployer)
+ * `npx hardhat stack:deploy` picks both options from the network's parameters file.
+ */
+export function buildSimpleSwapModule({ existingTokens = false, seed = false } = {}) {
+  return buildModule("SimpleSwapModule", (m) => {
+    const { tokena } = existingTokens
+      ? { tokena: m.contractAt("TokenA", m.getParameter("tokenA")) }
+      : m.useModule(TokenAModule);
+    const { tokenb } = existingTokens
+      ? { tokenb: m.contractAt("TokenB", m.getParameter("tokenB")) }
+      : m.useModule(TokenBModule);
+
+    const simpleSwap = m.contract("SimpleSwap", [tokena, tokenb]);
+
+    if (seed) {
+      const amountA = m.getParameter("seedAmountA");
+      const amountB = m.getParameter("seedAmountB");
+      const lpRecipient = m.getParameter("lpRecipient", m.getAccount(0));
+
+      const approveA = m.call(tokena, "approve", [simpleSwap, amountA]);
+      const approveB = m.call(tokenb, "approve", [simpleSwap, amountB]);
+      m.call(simpleSwap, "addLiquidity", [tokena, tokenb, amountA, amountB, amountA, amountB, lpRecipient, SEED_DEADLINE], {
+        after: [approveA, approveB],
+      });
+    }
+
+    return { simpleSwap, tokena, tokenb };
+  });
+}
+
+// Fresh tokens and an empty pool, for `npx hardhat ignition deploy ignition/modules/SimpleSwap.js`
+export default buildSimpleSwapModule();
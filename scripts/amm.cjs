@@ -0,0 +1,14 @@
+// scripts/amm.cjs
+// The dApp's pool math (frontend/amm.js, a plain browser script) for Node: runs the script
+// in its own context and exports the functions it declares
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SOURCE = path.join(__dirname, "..", "frontend", "amm.js");
+
+// The host's Error, so failures are `instanceof Error` for callers
+const context = vm.createContext({ Error });
+vm.runInContext(fs.readFileSync(SOURCE, "utf8"), context, { filename: SOURCE });
+
+module.exports = Object.fromEntries(Object.entries(context).filter(([name, value]) => typeof value === "function" && name !== "Error"));
@@ -0,0 +1,157 @@
+// scripts/bindings.cjs
+const fs = require("fs");
+const path = require("path");
+const { DEPLOYMENTS_DIR, ROLES, readJournal, readContracts, readStartBlock } = require("./ignition.cjs");
+
+const ROOT = path.join(__dirname, "..");
+const ARTIFACTS_DIR = path.join(ROOT, "artifacts", "contracts");
+const OUTPUT_DIRS = [path.join(ROOT, "frontend"), path.join(ROOT, "docs")];
+
+// Browser bundles served by the dApp itself, copied from node_modules so it works offline
+const VENDOR_FILES = {
+  "vendor/ethers.umd.min.js": path.join(ROOT, "node_modules", "ethers", "dist", "ethers.umd.min.js"),
+};
+
+// Wallet metadata for the chains the dApp can be deployed to,
+// used by wallet_addEthereumChain when the network is missing in the wallet.
+// faucetUrl is the test-token faucet (scripts/faucet.cjs) behind the "Get test tokens" button
+const CHAINS = {
+  31337: {
+    chainName: "Hardhat",
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: ["http://127.0.0.1:8545"],
+    blockExplorerUrls: [],
+    faucetUrl: "http://127.0.0.1:8081/",
+  },
+  11155111: {
+    chainName: "Sepolia",
+    nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: ["https://rpc.sepolia.org"],
+    blockExplorerUrls: ["https://sepolia.etherscan.io"],
+  },
+};
+
+// Reads the ABI of a contract from the Hardhat compilation artifacts
+function readAbi(contractName) {
+  const file = path.join(ARTIFACTS_DIR, `${contractName}.sol`, `${contractName}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Missing artifact ${path.relative(ROOT, file)}. Run "npx hardhat compile" first.`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8")).abi;
+}
+
+// Collects a registry entry for every chain-<id> folder with a complete deployment
+function buildRegistry() {
+  const registry = {};
+
+  for (const folder of fs.readdirSync(DEPLOYMENTS_DIR).sort()) {
+    const match = /^chain-(\d+)$/.exec(folder);
+    if (!match) continue;
+
+    const chainId = Number(match[1]);
+    const dir = path.join(DEPLOYMENTS_DIR, folder);
+    const journal = readJournal(dir);
+    const contracts = readContracts(dir, journal);
+    const missing = Object.values(ROLES).filter((role) => !contracts[role]);
+    if (missing.length > 0) {
+      console.warn(`Skipping chain ${chainId}: missing ${missing.join(", ")}`);
+      continue;
+    }
+
+    registry[chainId] = {
+      ...(CHAINS[chainId] || { chainName: `Chain ${chainId}`, rpcUrls: [], blockExplorerUrls: [] }),
+      startBlock: readStartBlock(journal),
+      contracts,
+    };
+  }
+
+  return registry;
+}
+
+function renderRegistry(registry) {
+  return (
+    "// Generated by scripts/bindings.cjs from ignition/deployments. Do not edit by hand.\n" +
+    `var deployments = ${JSON.stringify(registry, null, 2)};\n`
+  );
+}
+
+function renderAbis() {
+  const lines = ["// Generated by scripts/bindings.cjs from artifacts/contracts. Do not edit by hand."];
+  for (const [contractName, role] of Object.entries(ROLES)) {
+    lines.push(`var ${role}_abi = ${JSON.stringify(readAbi(contractName))};`);
+  }
+
+  const byName = Object.entries(ROLES).map(([contractName, role]) => `${contractName}: ${role}_abi`);
+  lines.push("", "// ABIs by contract name, as referenced from deployments.js");
+  lines.push(`var contract_abis = { ${byName.join(", ")} };`);
+  return lines.join("\n") + "\n";
+}
+
+// Reads the vendored browser bundles from the installed packages
+function readVendorFiles() {
+  const sources = {};
+  for (const [name, file] of Object.entries(VENDOR_FILES)) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Missing ${path.relative(ROOT, file)}. Run "npm install" first.`);
+    }
+    sources[name] = fs.readFileSync(file, "utf8");
+  }
+  return sources;
+}
+
+// Renders every binding file as { relative path: contents }
+function renderBindings() {
+  const sources = {
+    "contracts.js": renderAbis(),
+    "deployments.js": renderRegistry(buildRegistry()),
+    ...readVendorFiles(),
+  };
+
+  const files = {};
+  for (const dir of OUTPUT_DIRS) {
+    for (const [name, source] of Object.entries(sources)) {
+      files[path.relative(ROOT, path.join(dir, name))] = source;
+    }
+  }
+  return files;
+}
+
+async function main() {
+  const check = process.argv.includes("--check");
+  const files = renderBindings();
+
+  if (check) {
+    const stale = Object.entries(files).filter(([file, source]) => {
+      const target = path.join(ROOT, file);
+      return !fs.existsSync(target) || fs.readFileSync(target, "utf8") !== source;
+    });
+
+    if (stale.length > 0) {
+      stale.forEach(([file]) => console.error(`Stale binding: ${file}`));
+      console.error('Run "npm run bindings" and commit the result.');
+      process.exit(1);
+    }
+    console.log("Frontend bindings are up to date");
+    return;
+  }
+
+  for (const [file, source] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(ROOT, file)), { recursive: true });
+    fs.writeFileSync(path.join(ROOT, file), source);
+    console.log(`Wrote ${file}`);
+  }
+}
+
+module.exports = { CHAINS, buildRegistry, renderRegistry };
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+
+// Commands to regenerate the bindings, or to verify the committed ones are current
+// npx hardhat compile && npm run bindings
+// npx hardhat compile && npm run bindings:check
@@ -0,0 +1,140 @@
+// scripts/faucet.cjs
+// Test-token faucet: an HTTP service that sends a fixed amount of every pool token to the address
+// it is asked for, from an account holding the supply, at most once per cooldown per address.
+//   GET  /                       -> { chainId, amount, cooldown, tokens: [{ symbol, address }] }
+//   POST / { "address": "0x…" }  -> { address, amount, transfers: [{ symbol, address, hash }] }
+const http = require("http");
+const { ethers } = require("ethers");
+
+// Largest request body accepted, an address in JSON needs far less
+const MAX_BODY_BYTES = 1024;
+
+// Error answered with an HTTP status and a JSON body
+class FaucetError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) reject(new FaucetError(413, "Request body too large"));
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+}
+
+function parseRecipient(body) {
+  let recipient;
+  try {
+    recipient = JSON.parse(body).address;
+  } catch {
+    throw new FaucetError(400, "Body must be JSON like {\"address\": \"0x…\"}");
+  }
+  if (typeof recipient !== "string" || !ethers.isAddress(recipient)) throw new FaucetError(400, "Invalid address");
+  return ethers.getAddress(recipient);
+}
+
+function send(response, status, body, headers = {}) {
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    // The dApp is served from another origin (port) than the faucet
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    ...headers,
+  });
+  response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Creates the faucet HTTP server (not yet listening)
+ * - signer: account the tokens are sent from
+ * - tokens: [{ contract, symbol, decimals }] of the pool, as loaded by the pool tasks
+ * - amount: token units sent of each token per request, e.g. "1000"
+ * - cooldown: seconds before the same address is served again
+ */
+function createFaucet({ signer, tokens, amount, cooldown, now = Date.now }) {
+  const lastDrip = new Map();
+  // Drips are sent one after another so the signer's nonces never collide
+  let queue = Promise.resolve();
+
+  async function drip(recipient) {
+    const retryAfter = Math.ceil(((lastDrip.get(recipient) || -Infinity) + cooldown * 1000 - now()) / 1000);
+    if (retryAfter > 0) {
+      throw new FaucetError(429, `${recipient} was served recently; try again in ${retryAfter}s`, { retryAfter });
+    }
+
+    const faucetAddress = await signer.getAddress();
+    const units = tokens.map((token) => ethers.parseUnits(amount, token.decimals));
+    for (const [index, token] of tokens.entries()) {
+      if ((await token.contract.balanceOf(faucetAddress)) < units[index]) {
+        throw new FaucetError(503, `The faucet is out of ${token.symbol}`);
+      }
+    }
+
+    lastDrip.set(recipient, now());
+    const transfers = [];
+    try {
+      for (const [index, token] of tokens.entries()) {
+        const response = await token.contract.connect(signer).transfer(recipient, units[index]);
+        await response.wait();
+        transfers.push({ symbol: token.symbol, address: await token.contract.getAddress(), hash: response.hash });
+      }
+    } catch (error) {
+      // A failed drip does not count against the address
+      if (transfers.length === 0) lastDrip.delete(recipient);
+      throw error;
+    }
+    return { address: recipient, amount, transfers };
+  }
+
+  async function handle(request, response) {
+    if (request.method === "OPTIONS") return send(response, 204);
+
+    if (request.method === "GET") {
+      const { chainId } = await signer.provider.getNetwork();
+      return send(response, 200, {
+        chainId: Number(chainId),
+        amount,
+        cooldown,
+        tokens: await Promise.all(tokens.map(async (token) => ({ symbol: token.symbol, address: await token.contract.getAddress() }))),
+      });
+    }
+
+    if (request.method !== "POST") throw new FaucetError(405, "Use GET or POST");
+
+    const recipient = parseRecipient(await readBody(request));
+    const result = (queue = queue.catch(() => {}).then(() => drip(recipient)));
+    send(response, 200, await result);
+  }
+
+  return http.createServer((request, response) => {
+    handle(request, response).catch((error) => {
+      if (error instanceof FaucetError) {
+        const headers = error.details.retryAfter ? { "Retry-After": String(error.details.retryAfter) } : {};
+        send(response, error.status, { error: error.message, ...error.details }, headers);
+        return;
+      }
+      console.error("Faucet request failed:", error);
+      send(response, 500, { error: "Faucet request failed" });
+    });
+  });
+}
+
+// Starts the faucet and resolves with the URL once listening
+function startFaucet(options, port, hostname = "127.0.0.1") {
+  const server = createFaucet(options);
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, hostname, () => resolve({ server, url: `http://${hostname}:${server.address().port}/` }));
+  });
+}
+
+module.exports = { createFaucet, startFaucet };
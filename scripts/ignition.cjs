@@ -0,0 +1,128 @@
+// scripts/ignition.cjs
+// Readers for the Ignition deployment records in ignition/deployments/<deployment id>/,
+// shared by the frontend bindings and the Hardhat tasks
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+const DEPLOYMENTS_DIR = path.join(ROOT, "ignition", "deployments");
+
+// Frontend role of each contract, keyed by Solidity contract name.
+// The role is also the prefix of the ABI global in contracts.js (exchange_abi...)
+const ROLES = {
+  SimpleSwap: "exchange",
+  TokenA: "tokena",
+  TokenB: "tokenb",
+};
+
+// Folder of a deployment; Ignition names the default one after the chain id
+function deploymentDir(chainId, deploymentId) {
+  return path.join(DEPLOYMENTS_DIR, deploymentId || `chain-${chainId}`);
+}
+
+// Reads the journal of a deployment as a list of parsed entries
+function readJournal(dir) {
+  const file = path.join(dir, "journal.jsonl");
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() !== "")
+    .map((line) => JSON.parse(line));
+}
+
+// Builds the { role: { contract, address } } map of one Ignition deployment.
+// Tokens deployed outside Ignition are recovered from the SimpleSwap constructor args.
+function readContracts(dir, journal) {
+  const addresses = JSON.parse(fs.readFileSync(path.join(dir, "deployed_addresses.json"), "utf8"));
+  const contracts = {};
+
+  for (const [futureId, address] of Object.entries(addresses)) {
+    const contractName = futureId.split("#")[1];
+    const role = ROLES[contractName];
+    if (role) contracts[role] = { contract: contractName, address };
+  }
+
+  const swapDeployment = journal.find(
+    (entry) => entry.type === "DEPLOYMENT_EXECUTION_STATE_INITIALIZE" && entry.contractName === "SimpleSwap"
+  );
+  if (swapDeployment) {
+    const [tokenA, tokenB] = swapDeployment.constructorArgs;
+    contracts.tokena = contracts.tokena || { contract: "TokenA", address: tokenA };
+    contracts.tokenb = contracts.tokenb || { contract: "TokenB", address: tokenB };
+  }
+
+  return contracts;
+}
+
+// Block in which SimpleSwap was deployed, the earliest block its events can be in
+function readStartBlock(journal) {
+  const swapDeployment = journal.find(
+    (entry) => entry.type === "DEPLOYMENT_EXECUTION_STATE_INITIALIZE" && entry.contractName === "SimpleSwap"
+  );
+  const confirmation = swapDeployment && journal.find(
+    (entry) => entry.type === "TRANSACTION_CONFIRM" && entry.futureId === swapDeployment.futureId
+  );
+  return confirmation ? confirmation.receipt.blockNumber : 0;
+}
+
+// Restores the values Ignition serializes in the journal, e.g. { _kind: "bigint", value: "1" }
+function decodeJournalValue(value) {
+  if (Array.isArray(value)) return value.map(decodeJournalValue);
+  if (value && typeof value === "object") {
+    if (value._kind === "bigint") return BigInt(value.value);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeJournalValue(item)]));
+  }
+  return value;
+}
+
+// Every contract of a deployment with the constructor arguments the journal recorded for it.
+// Contracts the deployment only points at (contractAt futures, tokens recovered from the
+// SimpleSwap constructor) come last with `constructorArgs: null`.
+function readDeployedContracts(dir, journal) {
+  const deployed = [];
+
+  for (const entry of journal) {
+    if (entry.type !== "DEPLOYMENT_EXECUTION_STATE_COMPLETE" || entry.result.type !== "SUCCESS") continue;
+    const init = journal.find(
+      (candidate) => candidate.type === "DEPLOYMENT_EXECUTION_STATE_INITIALIZE" && candidate.futureId === entry.futureId
+    );
+    deployed.push({
+      futureId: entry.futureId,
+      contractName: init.contractName,
+      address: entry.result.address,
+      constructorArgs: decodeJournalValue(init.constructorArgs),
+      libraries: init.libraries,
+    });
+  }
+
+  for (const { contract, address } of Object.values(readContracts(dir, journal))) {
+    if (deployed.some((item) => item.address.toLowerCase() === address.toLowerCase())) continue;
+    deployed.push({ futureId: null, contractName: contract, address, constructorArgs: null, libraries: {} });
+  }
+
+  return deployed;
+}
+
+// Contracts of the deployment for a chain, throwing when it was never deployed there
+function readDeployment(chainId, deploymentId) {
+  const dir = deploymentDir(chainId, deploymentId);
+  if (!fs.existsSync(path.join(dir, "deployed_addresses.json"))) {
+    throw new Error(`No Ignition deployment in ${path.relative(ROOT, dir)}. Deploy with Ignition or pass --pool.`);
+  }
+
+  const journal = readJournal(dir);
+  return { dir, journal, contracts: readContracts(dir, journal) };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  ROLES,
+  deploymentDir,
+  readJournal,
+  readContracts,
+  readStartBlock,
+  decodeJournalValue,
+  readDeployedContracts,
+  readDeployment,
+};
@@ -0,0 +1,64 @@
+// scripts/serve.cjs
+// Minimal static file server for the dApp, so it runs from http://localhost like the published site
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".ico": "image/x-icon",
+};
+
+// Serves the files under `root`; "/" maps to index.html and nothing outside `root` is reachable
+function createStaticServer(root) {
+  const base = path.resolve(root);
+
+  return http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+    let file;
+    try {
+      file = path.join(base, decodeURIComponent(pathname === "/" ? "/index.html" : pathname));
+    } catch {
+      // Malformed percent-encoding, e.g. "/%E0%A4%A"
+      response.writeHead(400, { "Content-Type": "text/plain; charset=utf-8" });
+      response.end("Bad request");
+      return;
+    }
+
+    if (!file.startsWith(base + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      response.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      response.end("Not found");
+      return;
+    }
+
+    response.writeHead(200, { "Content-Type": CONTENT_TYPES[path.extname(file)] || "application/octet-stream" });
+    fs.createReadStream(file).pipe(response);
+  });
+}
+
+// Starts serving `root` and resolves with the URL once listening
+function serve(root, port, hostname = "127.0.0.1") {
+  const server = createStaticServer(root);
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, hostname, () => resolve({ server, url: `http://${hostname}:${server.address().port}/` }));
+  });
+}
+
+module.exports = { createStaticServer, serve };
+
+if (require.main === module) {
+  const port = Number(process.argv[2] || 8080);
+  serve(path.join(ROOT, "frontend"), port).then(({ url }) => console.log(`Serving frontend/ at ${url}`));
+}
+
+// Command to serve the dApp without the local node
+// node scripts/serve.cjs 8080
@@ -0,0 +1,75 @@
+// tasks/deploy.cjs
+// One-command deployment of the SimpleSwap stack with the Ignition parameters of --network
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { task, subtask } = require("hardhat/config");
+
+const MODULE_FILE = path.join(__dirname, "..", "ignition", "modules", "SimpleSwap.js");
+const PARAMETERS_DIR = path.join(__dirname, "..", "ignition", "parameters");
+
+// Parameters file given on the command line, else ignition/parameters/<network>.json when present
+function resolveParametersFile(hre, file) {
+  if (file) {
+    const resolved = path.resolve(file);
+    if (!fs.existsSync(resolved)) throw new Error(`Parameters file ${file} not found`);
+    return resolved;
+  }
+  const byNetwork = path.join(PARAMETERS_DIR, `${hre.network.name}.json`);
+  return fs.existsSync(byNetwork) ? byNetwork : undefined;
+}
+
+// Stack options implied by the SimpleSwapModule parameters: both token addresses or neither,
+// both seed amounts or neither
+function stackOptions(parameters) {
+  const has = (name) => parameters[name] !== undefined;
+
+  if (has("tokenA") !== has("tokenB")) throw new Error("Set both tokenA and tokenB to reuse existing tokens");
+  if (has("seedAmountA") !== has("seedAmountB")) throw new Error("Set both seedAmountA and seedAmountB to seed liquidity");
+  if (has("lpRecipient") && !has("seedAmountA")) throw new Error("lpRecipient needs seedAmountA and seedAmountB");
+
+  return { existingTokens: has("tokenA"), seed: has("seedAmountA") };
+}
+
+// The deployment itself, printing nothing but the optional Ignition progress; also run by `dev`
+subtask("stack:deploy:run", "Deploys the stack and returns its addresses")
+  .addOptionalParam("parameters", "Ignition parameters file (default: ignition/parameters/<network>.json)")
+  .addOptionalParam("deploymentId", "Ignition deployment id (default: chain-<chain id>)")
+  .addFlag("displayUi", "Show the Ignition progress")
+  .setAction(async ({ parameters: file, deploymentId, displayUi }, hre) => {
+    const parametersFile = resolveParametersFile(hre, file);
+    const parameters = parametersFile ? JSON.parse(fs.readFileSync(parametersFile, "utf8")) : {};
+    const options = stackOptions(parameters.SimpleSwapModule || {});
+
+    const { buildSimpleSwapModule } = await import(pathToFileURL(MODULE_FILE).href);
+    const { simpleSwap, tokena, tokenb } = await hre.ignition.deploy(buildSimpleSwapModule(options), {
+      parameters: parametersFile,
+      deploymentId,
+      displayUi,
+    });
+
+    return {
+      network: hre.network.name,
+      parameters: parametersFile ? path.relative(process.cwd(), parametersFile) : null,
+      simpleSwap: await simpleSwap.getAddress(),
+      tokenA: await tokena.getAddress(),
+      tokenB: await tokenb.getAddress(),
+      existingTokens: options.existingTokens,
+      seeded: options.seed,
+    };
+  });
+
+task("stack:deploy", "Deploys tokens, pool and seed liquidity as set in the network's Ignition parameters")
+  .addOptionalParam("parameters", "Ignition parameters file (default: ignition/parameters/<network>.json)")
+  .addOptionalParam("deploymentId", "Ignition deployment id (default: chain-<chain id>)")
+  .addFlag("json", "Print the result as JSON instead of the Ignition progress")
+  .setAction(async ({ parameters, deploymentId, json }, hre) => {
+    const result = await hre.run("stack:deploy:run", { parameters, deploymentId, displayUi: !json });
+
+    if (json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (hre.network.name !== "hardhat") {
+      console.log("Run `npm run bindings` to point the dApp at the new addresses.");
+    }
+    return result;
+  });
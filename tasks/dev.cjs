@@ -0,0 +1,104 @@
+// tasks/dev.cjs
+// `npx hardhat dev`: a local node with the seeded pool deployed, funded test accounts, a faucet,
+// a registry override pointing the dApp at them and frontend/ served on localhost
+const fs = require("fs");
+const path = require("path");
+const { task, subtask, types } = require("hardhat/config");
+const { TASK_NODE, TASK_NODE_SERVER_READY } = require("hardhat/builtin-tasks/task-names");
+const { CHAINS } = require("../scripts/bindings.cjs");
+const { serve } = require("../scripts/serve.cjs");
+
+const ROOT = path.join(__dirname, "..");
+const LOCAL_CHAIN_ID = 31337;
+
+// Options of the running dev task, read once its node is listening
+let devOptions;
+
+// First block in which `address` has code, searched from `fromBlock`
+async function findDeploymentBlock(provider, address, fromBlock) {
+  const latest = await provider.getBlockNumber();
+  for (let block = fromBlock; block <= latest; block++) {
+    if ((await provider.getCode(address, block)) !== "0x") return block;
+  }
+  return latest;
+}
+
+// Writes the local chain entry as a script the page loads after deployments.js, so the
+// generated registry stays as committed
+function writeLocalOverride(file, stack, startBlock, faucetUrl) {
+  const entry = {
+    ...CHAINS[LOCAL_CHAIN_ID],
+    faucetUrl,
+    startBlock,
+    contracts: {
+      tokena: { contract: "TokenA", address: stack.tokenA },
+      tokenb: { contract: "TokenB", address: stack.tokenB },
+      exchange: { contract: "SimpleSwap", address: stack.simpleSwap },
+    },
+  };
+  fs.writeFileSync(
+    file,
+    "// Written by `npx hardhat dev` for its local node. Not committed.\n" +
+      `deployments[${LOCAL_CHAIN_ID}] = ${JSON.stringify(entry, null, 2)};\n`
+  );
+}
+
+subtask("dev:setup", "Deploys and seeds the stack, funds test accounts and writes the local registry override")
+  .addOptionalParam("parameters", "Ignition parameters file", "ignition/parameters/localhost.json")
+  .addOptionalParam("accounts", "Accounts after the deployer that receive tokens", 5, types.int)
+  .addOptionalParam("amount", "TokenA and TokenB sent to each account, in token units", "10000")
+  .addOptionalParam("override", "Registry override to write", path.join(ROOT, "frontend", "deployments.local.js"))
+  .addOptionalParam("faucetUrl", "Faucet announced to the dApp", CHAINS[LOCAL_CHAIN_ID].faucetUrl)
+  .setAction(async ({ parameters, accounts, amount, override, faucetUrl }, hre) => {
+    const { ethers } = hre;
+    const [deployer, ...others] = await ethers.getSigners();
+    if (accounts > others.length) throw new Error(`Only ${others.length} accounts besides the deployer are configured`);
+
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    const stack = await hre.run("stack:deploy:run", { parameters });
+
+    const recipients = others.slice(0, accounts).map((signer) => signer.address);
+    for (const address of [stack.tokenA, stack.tokenB]) {
+      const token = await ethers.getContractAt("TokenA", address, deployer);
+      const units = ethers.parseUnits(amount, await token.decimals());
+      for (const recipient of recipients) {
+        await (await token.transfer(recipient, units)).wait();
+      }
+    }
+
+    const startBlock = await findDeploymentBlock(ethers.provider, stack.simpleSwap, fromBlock);
+    writeLocalOverride(override, stack, startBlock, faucetUrl);
+
+    return { ...stack, startBlock, funded: recipients, amount, override: path.relative(ROOT, override) };
+  });
+
+// Runs the dev setup once the node started by `dev` accepts connections
+subtask(TASK_NODE_SERVER_READY).setAction(async (args, hre, runSuper) => {
+  await runSuper(args);
+  if (!devOptions) return;
+
+  const { frontendPort, faucetPort, ...setupOptions } = devOptions;
+  await args.provider.request({ method: "hardhat_setLoggingEnabled", params: [false] });
+  const setup = await hre.run("dev:setup", { ...setupOptions, faucetUrl: `http://127.0.0.1:${faucetPort}/` });
+  await hre.run("faucet:start", { pool: setup.simpleSwap, port: faucetPort });
+  const { url } = await serve(path.join(ROOT, "frontend"), frontendPort);
+  await args.provider.request({ method: "hardhat_setLoggingEnabled", params: [true] });
+
+  console.log(`SimpleSwap ${setup.simpleSwap} (TokenA ${setup.tokenA}, TokenB ${setup.tokenB})`);
+  console.log(`Sent ${setup.amount} TKNA and TKNB to accounts #1 to #${setup.funded.length}`);
+  console.log(`Wrote the chain ${LOCAL_CHAIN_ID} entry to ${setup.override}`);
+  console.log(`dApp at ${url} — connect a wallet to http://127.0.0.1:${args.port}/ (chain ${LOCAL_CHAIN_ID})`);
+  console.log();
+});
+
+task("dev", "Starts a local node with the seeded pool and funded accounts, and serves the dApp")
+  .addOptionalParam("port", "JSON-RPC port of the node", 8545, types.int)
+  .addOptionalParam("frontendPort", "Port serving frontend/", 8080, types.int)
+  .addOptionalParam("faucetPort", "Port of the test-token faucet", 8081, types.int)
+  .addOptionalParam("accounts", "Accounts after the deployer that receive tokens", 5, types.int)
+  .addOptionalParam("amount", "TokenA and TokenB sent to each account, in token units", "10000")
+  .addOptionalParam("parameters", "Ignition parameters file", "ignition/parameters/localhost.json")
+  .setAction(async ({ port, ...options }, hre) => {
+    devOptions = options;
+    await hre.run(TASK_NODE, { port });
+  });
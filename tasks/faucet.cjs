@@ -0,0 +1,37 @@
+// tasks/faucet.cjs
+// `npx hardhat faucet`: serves the pool's test tokens over HTTP for the dApp's "Get test tokens" button
+const { task, subtask, types } = require("hardhat/config");
+const { loadPool, getSigner } = require("./pool.cjs");
+const { startFaucet } = require("../scripts/faucet.cjs");
+
+task("faucet", "Serves rate-limited TokenA/TokenB drips over HTTP from an account holding the supply")
+  .addOptionalParam("pool", "SimpleSwap address, instead of the Ignition deployment")
+  .addOptionalParam("deploymentId", "Ignition deployment id (default: chain-<chain id>)")
+  .addOptionalParam("from", "Account the tokens are sent from (default: first configured account)")
+  .addOptionalParam("amount", "TokenA and TokenB sent per request, in token units", "1000")
+  .addOptionalParam("cooldown", "Seconds before the same address is served again", 600, types.int)
+  .addOptionalParam("port", "Port of the faucet", 8081, types.int)
+  .setAction(async (args, hre) => {
+    const { server, url } = await hre.run("faucet:start", args);
+    await new Promise((resolve) => server.on("close", resolve));
+    return url;
+  });
+
+// Starts the faucet without waiting for it to close, as used by faucet and dev
+subtask("faucet:start")
+  .addOptionalParam("pool")
+  .addOptionalParam("deploymentId")
+  .addOptionalParam("from")
+  .addOptionalParam("amount", undefined, "1000")
+  .addOptionalParam("cooldown", undefined, 600, types.int)
+  .addOptionalParam("port", undefined, 8081, types.int)
+  .setAction(async ({ pool: poolAddress, deploymentId, from, amount, cooldown, port }, hre) => {
+    const pool = await loadPool(hre, { pool: poolAddress, deploymentId });
+    const signer = await getSigner(hre, from);
+    const tokens = [pool.tokenA, pool.tokenB];
+
+    const started = await startFaucet({ signer, tokens, amount, cooldown }, port);
+    const symbols = tokens.map((token) => token.symbol).join(" and ");
+    console.log(`Faucet at ${started.url} sends ${amount} ${symbols} from ${signer.address}, once every ${cooldown}s per address`);
+    return started;
+  });
@@ -0,0 +1,345 @@
+// tasks/pool.cjs
+// Command-line operation of the pool: inspect, quote, swap, add/remove liquidity and approve.
+// Amounts are human-readable token units; the pool is the Ignition deployment for --network.
+const { task, types } = require("hardhat/config");
+const { readDeployment } = require("../scripts/ignition.cjs");
+const { getAmountOut, getDepositAmounts, getWithdrawAmounts } = require("../scripts/amm.cjs");
+
+// Options shared by every task that sends a transaction
+function withTransactionOptions(definition) {
+  return definition
+    .addOptionalParam("from", "Account sending the transaction (default: first configured account)")
+    .addOptionalParam("slippage", "Max slippage in percent", "0.5")
+    .addOptionalParam("deadline", "Seconds from now until the transaction expires", 300, types.int);
+}
+
+// Options shared by every task
+function withPoolOptions(definition) {
+  return definition
+    .addOptionalParam("pool", "SimpleSwap address, instead of the Ignition deployment")
+    .addOptionalParam("deploymentId", "Ignition deployment id (default: chain-<chain id>)")
+    .addFlag("json", "Print the result as JSON");
+}
+
+// SimpleSwap and both tokens of the pool, with their symbols and decimals
+async function loadPool(hre, { pool, deploymentId }) {
+  const { ethers } = hre;
+  const chainId = Number((await ethers.provider.getNetwork()).chainId);
+  let address = pool;
+
+  if (!address) {
+    const { contracts } = readDeployment(chainId, deploymentId);
+    if (!contracts.exchange) throw new Error(`The deployment for chain ${chainId} has no SimpleSwap`);
+    address = contracts.exchange.address;
+  }
+  if ((await ethers.provider.getCode(address)) === "0x") {
+    throw new Error(`No contract at ${address} on chain ${chainId}`);
+  }
+
+  const exchange = await ethers.getContractAt("SimpleSwap", address);
+  const tokens = [];
+  for (const [name, tokenAddress] of [["TokenA", await exchange.TokenA()], ["TokenB", await exchange.TokenB()]]) {
+    const contract = await ethers.getContractAt("TokenA", tokenAddress);
+    tokens.push({ name, address: tokenAddress, contract, symbol: await contract.symbol(), decimals: Number(await contract.decimals()) });
+  }
+
+  return { exchange, address, tokenA: tokens[0], tokenB: tokens[1], lpDecimals: Number(await exchange.decimals()) };
+}
+
+// Picks a pool token from "A", "B", its contract name, symbol or address
+function findToken(pool, value) {
+  const key = String(value).toLowerCase();
+  const token = [pool.tokenA, pool.tokenB].find((candidate) =>
+    [candidate.name, candidate.symbol, candidate.address, candidate.name.slice(-1)].some((alias) => alias.toLowerCase() === key)
+  );
+  if (!token) throw new Error(`"${value}" is not a token of the pool (use A, B, a symbol or an address)`);
+  return token;
+}
+
+// Pool balances of both tokens, which the contract keeps in sync with its reserves
+async function readReserves(pool) {
+  return {
+    reserveA: await pool.tokenA.contract.balanceOf(pool.address),
+    reserveB: await pool.tokenB.contract.balanceOf(pool.address),
+  };
+}
+
+// Fails before sending when `owner` has not allowed the pool to take `amount` of `token`
+async function requireAllowance(ethers, pool, token, owner, amount) {
+  const allowance = await token.contract.allowance(owner, pool.address);
+  if (allowance < amount) {
+    throw new Error(`Allowance of ${token.symbol} is ${ethers.formatUnits(allowance, token.decimals)}; run token:approve first`);
+  }
+}
+
+async function getSigner(hre, from) {
+  if (from) return hre.ethers.getSigner(from);
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) throw new Error("No account configured for this network");
+  return signer;
+}
+
+// Converts a slippage in percent ("0.5") to basis points
+function parseSlippage(ethers, slippage) {
+  const bps = ethers.parseUnits(String(slippage), 2);
+  if (bps < 0n || bps > 5000n) throw new Error("Slippage must be between 0 and 50%");
+  return bps;
+}
+
+function applySlippage(amount, slippageBps) {
+  return (amount * (10000n - slippageBps)) / 10000n;
+}
+
+function deadlineFromNow(seconds) {
+  return Math.floor(Date.now() / 1000) + seconds;
+}
+
+// Waits for a transaction and returns its receipt with the first `eventName` log of the pool parsed
+async function confirm(pool, response, eventName) {
+  const receipt = await response.wait();
+  const event = receipt.logs
+    .filter((log) => log.address.toLowerCase() === pool.address.toLowerCase())
+    .map((log) => pool.exchange.interface.parseLog(log))
+    .find((parsed) => parsed && parsed.name === eventName);
+  return { receipt, event };
+}
+
+// Transaction fields common to every write result
+function describeReceipt(receipt) {
+  return { hash: receipt.hash, block: receipt.blockNumber, gasUsed: receipt.gasUsed.toString() };
+}
+
+// Prints a result as JSON, or as "key: value" lines with nested objects indented
+function print(result, json, indent = "") {
+  if (json) {
+    console.log(JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+    return;
+  }
+
+  for (const [key, value] of Object.entries(result)) {
+    if (value && typeof value === "object") {
+      console.log(`${indent}${key}:`);
+      print(value, false, indent + "  ");
+    } else {
+      console.log(`${indent}${key}: ${value}`);
+    }
+  }
+}
+
+// Swap quote for `amountIn` of `tokenIn` at the current pool balances
+async function quote(pool, tokenIn, amountIn, slippageBps) {
+  const tokenOut = tokenIn === pool.tokenA ? pool.tokenB : pool.tokenA;
+  const { reserveA, reserveB } = await readReserves(pool);
+  const [reserveIn, reserveOut] = tokenIn === pool.tokenA ? [reserveA, reserveB] : [reserveB, reserveA];
+
+  const amountOut = getAmountOut(amountIn, reserveIn, reserveOut);
+  const priceImpactBps = 10000n - (amountOut * reserveIn * 10000n) / (amountIn * reserveOut);
+  return { tokenOut, amountOut, minReceived: applySlippage(amountOut, slippageBps), priceImpactBps };
+}
+
+withPoolOptions(task("pool:info", "Shows the pool's reserves, prices and SSLP supply"))
+  .addOptionalParam("account", "Also show the SSLP position of this address")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const pool = await loadPool(hre, args);
+    const { reserveA, reserveB } = await readReserves(pool);
+    const totalSupply = await pool.exchange.totalSupply();
+    const hasLiquidity = reserveA > 0n && reserveB > 0n;
+
+    const result = {
+      chainId: Number((await ethers.provider.getNetwork()).chainId),
+      pool: pool.address,
+      tokenA: { symbol: pool.tokenA.symbol, address: pool.tokenA.address, reserve: ethers.formatUnits(reserveA, pool.tokenA.decimals) },
+      tokenB: { symbol: pool.tokenB.symbol, address: pool.tokenB.address, reserve: ethers.formatUnits(reserveB, pool.tokenB.decimals) },
+      priceAInB: hasLiquidity ? ethers.formatUnits(await pool.exchange.getPrice(pool.tokenA.address, pool.tokenB.address), 18) : null,
+      priceBInA: hasLiquidity ? ethers.formatUnits(await pool.exchange.getPrice(pool.tokenB.address, pool.tokenA.address), 18) : null,
+      lpSupply: ethers.formatUnits(totalSupply, pool.lpDecimals),
+    };
+
+    if (args.account) {
+      const balance = await pool.exchange.balanceOf(args.account);
+      const redeemable = totalSupply > 0n ? getWithdrawAmounts(balance, reserveA, reserveB, totalSupply) : { amountA: 0n, amountB: 0n };
+      result.position = {
+        account: ethers.getAddress(args.account),
+        lpBalance: ethers.formatUnits(balance, pool.lpDecimals),
+        sharePercent: totalSupply > 0n ? ethers.formatUnits((balance * 10n ** 8n) / totalSupply, 6) : "0.0",
+        redeemableA: ethers.formatUnits(redeemable.amountA, pool.tokenA.decimals),
+        redeemableB: ethers.formatUnits(redeemable.amountB, pool.tokenB.decimals),
+      };
+    }
+
+    print(result, args.json);
+    return result;
+  });
+
+withPoolOptions(task("pool:quote", "Quotes a swap at the current pool balances"))
+  .addParam("tokenIn", "Token to sell: A, B, a symbol or an address")
+  .addParam("amountIn", "Amount to sell, in token units")
+  .addOptionalParam("slippage", "Max slippage in percent", "0.5")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const pool = await loadPool(hre, args);
+    const tokenIn = findToken(pool, args.tokenIn);
+    const amountIn = ethers.parseUnits(args.amountIn, tokenIn.decimals);
+    const { tokenOut, amountOut, minReceived, priceImpactBps } = await quote(pool, tokenIn, amountIn, parseSlippage(ethers, args.slippage));
+
+    const result = {
+      tokenIn: tokenIn.symbol,
+      tokenOut: tokenOut.symbol,
+      amountIn: ethers.formatUnits(amountIn, tokenIn.decimals),
+      amountOut: ethers.formatUnits(amountOut, tokenOut.decimals),
+      minReceived: ethers.formatUnits(minReceived, tokenOut.decimals),
+      priceImpactPercent: ethers.formatUnits(priceImpactBps, 2),
+    };
+
+    print(result, args.json);
+    return result;
+  });
+
+withTransactionOptions(withPoolOptions(task("pool:swap", "Swaps an exact amount of one pool token for the other")))
+  .addParam("tokenIn", "Token to sell: A, B, a symbol or an address")
+  .addParam("amountIn", "Amount to sell, in token units")
+  .addOptionalParam("to", "Recipient of the output tokens (default: the sender)")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const pool = await loadPool(hre, args);
+    const signer = await getSigner(hre, args.from);
+    const tokenIn = findToken(pool, args.tokenIn);
+    const amountIn = ethers.parseUnits(args.amountIn, tokenIn.decimals);
+    const { tokenOut, minReceived } = await quote(pool, tokenIn, amountIn, parseSlippage(ethers, args.slippage));
+
+    await requireAllowance(ethers, pool, tokenIn, signer.address, amountIn);
+
+    const response = await pool.exchange.connect(signer).swapExactTokensForTokens(
+      amountIn,
+      minReceived,
+      [tokenIn.address, tokenOut.address],
+      args.to || signer.address,
+      deadlineFromNow(args.deadline)
+    );
+    const { receipt, event } = await confirm(pool, response, "SwapExecuted");
+
+    const result = {
+      ...describeReceipt(receipt),
+      tokenIn: tokenIn.symbol,
+      tokenOut: tokenOut.symbol,
+      amountIn: ethers.formatUnits(event.args.amountIn, tokenIn.decimals),
+      amountOut: ethers.formatUnits(event.args.amountOut, tokenOut.decimals),
+      to: event.args.to,
+    };
+
+    print(result, args.json);
+    return result;
+  });
+
+withTransactionOptions(withPoolOptions(task("pool:add-liquidity", "Deposits TokenA and TokenB and mints SSLP")))
+  .addParam("amountA", "TokenA to deposit, in token units")
+  .addParam("amountB", "TokenB to deposit, in token units")
+  .addOptionalParam("to", "Recipient of the SSLP (default: the sender)")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const pool = await loadPool(hre, args);
+    const signer = await getSigner(hre, args.from);
+    const slippageBps = parseSlippage(ethers, args.slippage);
+    const amountA = ethers.parseUnits(args.amountA, pool.tokenA.decimals);
+    const amountB = ethers.parseUnits(args.amountB, pool.tokenB.decimals);
+
+    // The first deposit sets the price, so both amounts are taken as is
+    const totalSupply = await pool.exchange.totalSupply();
+    const firstDeposit = totalSupply === 0n;
+
+    // Only the amounts at the pool ratio are taken, so allowances and minimums are checked against those
+    const { reserveA, reserveB } = await readReserves(pool);
+    const deposit = getDepositAmounts(amountA, amountB, reserveA, reserveB, totalSupply);
+    await requireAllowance(ethers, pool, pool.tokenA, signer.address, deposit.amountA);
+    await requireAllowance(ethers, pool, pool.tokenB, signer.address, deposit.amountB);
+
+    const response = await pool.exchange.connect(signer).addLiquidity(
+      pool.tokenA.address,
+      pool.tokenB.address,
+      amountA,
+      amountB,
+      firstDeposit ? amountA : applySlippage(deposit.amountA, slippageBps),
+      firstDeposit ? amountB : applySlippage(deposit.amountB, slippageBps),
+      args.to || signer.address,
+      deadlineFromNow(args.deadline)
+    );
+    const { receipt, event } = await confirm(pool, response, "LiquidityAdded");
+
+    const result = {
+      ...describeReceipt(receipt),
+      amountA: ethers.formatUnits(event.args.amountA, pool.tokenA.decimals),
+      amountB: ethers.formatUnits(event.args.amountB, pool.tokenB.decimals),
+      liquidity: ethers.formatUnits(event.args.liquidity, pool.lpDecimals),
+    };
+
+    print(result, args.json);
+    return result;
+  });
+
+withTransactionOptions(withPoolOptions(task("pool:remove-liquidity", "Burns SSLP and withdraws TokenA and TokenB")))
+  .addParam("liquidity", 'SSLP to burn, in token units, or "all"')
+  .addOptionalParam("to", "Recipient of the tokens (default: the sender)")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const pool = await loadPool(hre, args);
+    const signer = await getSigner(hre, args.from);
+    const slippageBps = parseSlippage(ethers, args.slippage);
+    const liquidity = args.liquidity === "all"
+      ? await pool.exchange.balanceOf(signer.address)
+      : ethers.parseUnits(args.liquidity, pool.lpDecimals);
+    if (liquidity === 0n) throw new Error("Nothing to remove");
+
+    const { reserveA, reserveB } = await readReserves(pool);
+    const expected = getWithdrawAmounts(liquidity, reserveA, reserveB, await pool.exchange.totalSupply());
+    const response = await pool.exchange.connect(signer).removeLiquidity(
+      pool.tokenA.address,
+      pool.tokenB.address,
+      liquidity,
+      applySlippage(expected.amountA, slippageBps),
+      applySlippage(expected.amountB, slippageBps),
+      args.to || signer.address,
+      deadlineFromNow(args.deadline)
+    );
+    const { receipt, event } = await confirm(pool, response, "LiquidityRemoved");
+
+    const result = {
+      ...describeReceipt(receipt),
+      liquidity: ethers.formatUnits(event.args.liquidity, pool.lpDecimals),
+      amountA: ethers.formatUnits(event.args.amountA, pool.tokenA.decimals),
+      amountB: ethers.formatUnits(event.args.amountB, pool.tokenB.decimals),
+    };
+
+    print(result, args.json);
+    return result;
+  });
+
+withPoolOptions(task("token:approve", "Sets the allowance of a pool token, by default for the pool"))
+  .addParam("token", "Token to approve: A, B, a symbol or an address")
+  .addParam("amount", 'Allowance in token units, or "max" for unlimited')
+  .addOptionalParam("spender", "Spender to approve (default: the pool)")
+  .addOptionalParam("from", "Account sending the transaction (default: first configured account)")
+  .setAction(async (args, hre) => {
+    const { ethers } = hre;
+    const pool = await loadPool(hre, args);
+    const signer = await getSigner(hre, args.from);
+    const token = findToken(pool, args.token);
+    const spender = args.spender || pool.address;
+    const amount = args.amount === "max" ? ethers.MaxUint256 : ethers.parseUnits(args.amount, token.decimals);
+
+    const receipt = await (await token.contract.connect(signer).approve(spender, amount)).wait();
+    const allowance = await token.contract.allowance(signer.address, spender);
+
+    const result = {
+      ...describeReceipt(receipt),
+      token: token.symbol,
+      owner: signer.address,
+      spender,
+      allowance: allowance === ethers.MaxUint256 ? "max" : ethers.formatUnits(allowance, token.decimals),
+    };
+
+    print(result, args.json);
+    return result;
+  });
+
+module.exports = { loadPool, getSigner };
@@ -0,0 +1,99 @@
+// tasks/verify.cjs
+// Etherscan verification of every contract in an Ignition deployment, with the
+// constructor arguments recorded in its journal
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { deploymentDir, readJournal, readDeployedContracts } = require("../scripts/ignition.cjs");
+
+// verify:verify arguments for each contract, or the reason it cannot be verified
+async function planVerification(hre, dir) {
+  const plan = [];
+
+  for (const deployed of readDeployedContracts(dir, readJournal(dir))) {
+    const artifact = await hre.artifacts.readArtifact(deployed.contractName);
+    const item = {
+      futureId: deployed.futureId,
+      contract: `${artifact.sourceName}:${artifact.contractName}`,
+      address: deployed.address,
+      constructorArguments: deployed.constructorArgs,
+      libraries: deployed.libraries,
+    };
+
+    // Contracts deployed outside this deployment can only be verified when their constructor takes nothing
+    if (item.constructorArguments === null) {
+      const constructor = artifact.abi.find((fragment) => fragment.type === "constructor");
+      if (constructor && constructor.inputs.length > 0) {
+        plan.push({ ...item, status: "skipped", reason: "not deployed by this deployment; constructor arguments unknown" });
+        continue;
+      }
+      item.constructorArguments = [];
+    }
+    plan.push({ ...item, status: "planned" });
+  }
+
+  return plan;
+}
+
+// One line per contract, e.g. "SimpleSwap 0x2Ae7… verified"
+function printPlan(plan) {
+  for (const item of plan) {
+    const name = item.contract.split(":")[1];
+    const args = item.constructorArguments && item.constructorArguments.length > 0 ? ` [${item.constructorArguments.join(", ")}]` : "";
+    const detail = item.reason || item.error;
+    console.log(`${name} ${item.address} ${item.status}${args}${detail ? ` (${detail})` : ""}`);
+  }
+}
+
+task("stack:verify", "Verifies on Etherscan every contract of the Ignition deployment for --network")
+  .addOptionalParam("deploymentId", "Ignition deployment id (default: chain-<chain id>)")
+  .addFlag("dryRun", "Print the planned verify calls without contacting the explorer")
+  .addFlag("json", "Print the result as JSON")
+  .setAction(async ({ deploymentId, dryRun, json }, hre) => {
+    const chainId = deploymentId ? undefined : Number((await hre.ethers.provider.getNetwork()).chainId);
+    const dir = deploymentDir(chainId, deploymentId);
+    const relativeDir = path.relative(path.join(__dirname, ".."), dir);
+    if (!fs.existsSync(path.join(dir, "deployed_addresses.json"))) {
+      throw new Error(`No Ignition deployment in ${relativeDir} to verify`);
+    }
+
+    const plan = await planVerification(hre, dir);
+
+    if (!dryRun) {
+      const { Etherscan } = require("@nomicfoundation/hardhat-verify/etherscan");
+      const chainConfig = await Etherscan.getCurrentChainConfig(hre.network.name, hre.network.provider, hre.config.etherscan.customChains);
+      const etherscan = Etherscan.fromChainConfig(hre.config.etherscan.apiKey, chainConfig);
+
+      for (const item of plan.filter((candidate) => candidate.status === "planned")) {
+        try {
+          if (await etherscan.isVerified(item.address)) {
+            item.status = "already verified";
+            continue;
+          }
+          await hre.run("verify:verify", {
+            address: item.address,
+            contract: item.contract,
+            constructorArguments: item.constructorArguments,
+            libraries: item.libraries,
+          });
+          item.status = "verified";
+        } catch (error) {
+          item.status = "failed";
+          item.error = error.message.split("\n")[0];
+        }
+      }
+    }
+
+    const result = { deployment: relativeDir, dryRun, contracts: plan };
+    if (json) {
+      console.log(JSON.stringify(result, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2));
+    } else {
+      printPlan(plan);
+    }
+
+    const failed = plan.filter((item) => item.status === "failed");
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} contract(s) failed verification: ${failed.map((item) => item.address).join(", ")}`);
+    }
+    return result;
+  });
@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const amm = require("../scripts/amm.cjs");
+const { deployPool } = require("./helpers.cjs");
+
+// Differential tests of the dApp's pool math (frontend/amm.js): random inputs go both to
+// SimpleSwap, through its pure getAmountOut and static calls of the real transactions, and
+// to the BigInt model, and results and revert reasons must be identical.
+//
+//   FUZZ_SEED  seed of the inputs (default 1)
+//   AMM_CASES  inputs per test (default 200)
+
+const SEED = Number(process.env.FUZZ_SEED || 1);
+const CASES = Number(process.env.AMM_CASES || 200);
+
+// Deterministic uint256 number `index` of the input stream `label`
+function randomWord(label, index) {
+    return BigInt(ethers.id(`${SEED}:${label}:${index}`));
+}
+
+// Value below 2^maxBits, with a random bit length so that dust, typical and huge amounts all
+// come up; zero included
+function randomAmount(label, index, maxBits) {
+    const word = randomWord(label, index);
+    const bits = 1n + (word % BigInt(maxBits));
+    return (word >> 8n) % (1n << bits);
+}
+
+// { value } or { error: revert reason } of a contract call
+async function onChain(call) {
+    try {
+        const value = await call;
+        return { value: typeof value === "bigint" ? value : value.toObject() };
+    } catch (error) {
+        const reverted = /reverted with reason string '(.*)'/.exec(error.message);
+        if (!reverted) throw error;
+        return { error: reverted[1] };
+    }
+}
+
+// { value } or { error: reason } of a model function
+function inModel(compute) {
+    try {
+        return { value: compute() };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+describe("Pool math model", function () {
+    this.timeout(300000);
+
+    // Bits of the tokens' supply (1e26): amounts the deployer can actually deposit
+    const SUPPLY_BITS = 86;
+    const DEADLINE = ethers.MaxUint256;
+
+    // Token pair and an empty pool, approved to spend all of the deployer's tokens
+    async function deployEmptyPool() {
+        const fixture = await deployPool();
+        await fixture.tokenA.approve(fixture.pool, ethers.MaxUint256);
+        await fixture.tokenB.approve(fixture.pool, ethers.MaxUint256);
+        return fixture;
+    }
+
+    async function readPool({ tokenA, tokenB, simpleSwap }) {
+        const pool = await simpleSwap.getAddress();
+        return {
+            reserveA: await tokenA.balanceOf(pool),
+            reserveB: await tokenB.balanceOf(pool),
+            totalSupply: await simpleSwap.totalSupply(),
+        };
+    }
+
+    // Moves the pool to a new random state with a real swap in either direction
+    async function swapRandomly({ owner, simpleSwap, addresses }, index) {
+        const amountIn = 1n + randomAmount("state", index, SUPPLY_BITS - 8);
+        const path = randomWord("direction", index) % 2n === 0n ? addresses : [...addresses].reverse();
+        await simpleSwap.swapExactTokensForTokens(amountIn, 0, path, owner.address, DEADLINE);
+    }
+
+    it("Should match getAmountOut, including its reverts", async () => {
+        const { simpleSwap } = await loadFixture(deployEmptyPool);
+
+        for (let index = 0; index < CASES; index++) {
+            const amountIn = randomAmount("amountIn", index, 120);
+            const reserveIn = randomAmount("reserveIn", index, 120);
+            const reserveOut = randomAmount("reserveOut", index, 120);
+
+            expect(
+                inModel(() => amm.getAmountOut(amountIn, reserveIn, reserveOut)),
+                `getAmountOut(${amountIn}, ${reserveIn}, ${reserveOut})`
+            ).to.deep.equal(await onChain(simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut)));
+        }
+    });
+
+    it("Should return the smallest input for an output with getAmountIn", async () => {
+        const { simpleSwap } = await loadFixture(deployEmptyPool);
+
+        for (let index = 0; index < CASES; index++) {
+            const reserveIn = 1n + randomAmount("reserveIn", index, 120);
+            const reserveOut = 2n + randomAmount("reserveOut", index, 120);
+            const amountOut = 1n + (randomWord("amountOut", index) % (reserveOut - 1n));
+            const amountIn = amm.getAmountIn(amountOut, reserveIn, reserveOut);
+            const label = `getAmountIn(${amountOut}, ${reserveIn}, ${reserveOut}) = ${amountIn}`;
+
+            expect(await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut), label).to.be.at.least(amountOut);
+            if (amountIn > 1n) {
+                expect(await simpleSwap.getAmountOut(amountIn - 1n, reserveIn, reserveOut), label).to.be.below(amountOut);
+            }
+        }
+
+        expect(() => amm.getAmountIn(0n, 1000n, 1000n)).to.throw("ZERO_OUT");
+        expect(() => amm.getAmountIn(1000n, 1000n, 1000n)).to.throw("EXCESSIVE_OUT");
+        expect(() => amm.getAmountIn(1n, 0n, 1000n)).to.throw("ZERO_RESERVES");
+    });
+
+    it("Should round square roots down like _sqrt", () => {
+        for (let index = 0; index < CASES; index++) {
+            const y = randomAmount("sqrt", index, 256);
+            const root = amm.sqrtFloor(y);
+            expect(root * root <= y && y < (root + 1n) * (root + 1n), `sqrtFloor(${y}) = ${root}`).to.equal(true);
+        }
+    });
+
+    it("Should match the first deposit's amounts and sqrt mint", async () => {
+        const { owner, simpleSwap, addresses } = await loadFixture(deployEmptyPool);
+
+        for (let index = 0; index < CASES; index++) {
+            const amountA = randomAmount("firstA", index, SUPPLY_BITS);
+            const amountB = randomAmount("firstB", index, SUPPLY_BITS);
+
+            expect(
+                inModel(() => amm.getAddLiquidityResult(amountA, amountB, 0n, 0n, 0n)),
+                `first deposit of ${amountA} / ${amountB}`
+            ).to.deep.equal(
+                await onChain(simpleSwap.addLiquidity.staticCall(...addresses, amountA, amountB, 0, 0, owner.address, DEADLINE))
+            );
+        }
+    });
+
+    it("Should match addLiquidity's optimal amounts, minimums and mint on a live pool", async () => {
+        const context = await loadFixture(deployEmptyPool);
+        const { owner, simpleSwap, addresses } = context;
+        await simpleSwap.addLiquidity(
+            ...addresses,
+            1n + randomAmount("seedA", 0, SUPPLY_BITS - 4),
+            1n + randomAmount("seedB", 0, SUPPLY_BITS - 4),
+            0, 0, owner.address, DEADLINE
+        );
+
+        for (let index = 0; index < CASES; index++) {
+            if (index % 20 === 0) await swapRandomly(context, index);
+            const { reserveA, reserveB, totalSupply } = await readPool(context);
+
+            const amountADesired = randomAmount("desiredA", index, SUPPLY_BITS - 2);
+            const amountBDesired = randomAmount("desiredB", index, SUPPLY_BITS - 2);
+            // Minimums sometimes above what the deposit takes, to exercise "LA" and "LB"
+            const amountAMin = index % 4 === 0 ? randomAmount("minA", index, SUPPLY_BITS - 2) : 0n;
+            const amountBMin = index % 4 === 0 ? randomAmount("minB", index, SUPPLY_BITS - 2) : 0n;
+
+            expect(
+                inModel(() => amm.getAddLiquidityResult(amountADesired, amountBDesired, reserveA, reserveB, totalSupply, amountAMin, amountBMin)),
+                `deposit of ${amountADesired} / ${amountBDesired} (min ${amountAMin} / ${amountBMin}) into ${reserveA} / ${reserveB}, supply ${totalSupply}`
+            ).to.deep.equal(
+                await onChain(simpleSwap.addLiquidity.staticCall(
+                    ...addresses, amountADesired, amountBDesired, amountAMin, amountBMin, owner.address, DEADLINE
+                ))
+            );
+        }
+    });
+
+    it("Should match removeLiquidity's pro-rata payouts", async () => {
+        const context = await loadFixture(deployEmptyPool);
+        const { owner, simpleSwap, addresses } = context;
+        await simpleSwap.addLiquidity(
+            ...addresses,
+            1n + randomAmount("seedA", 1, SUPPLY_BITS - 4),
+            1n + randomAmount("seedB", 1, SUPPLY_BITS - 4),
+            0, 0, owner.address, DEADLINE
+        );
+
+        for (let index = 0; index < CASES; index++) {
+            if (index % 20 === 0) await swapRandomly(context, index);
+            const { reserveA, reserveB, totalSupply } = await readPool(context);
+            const liquidity = 1n + (randomWord("burn", index) % totalSupply);
+
+            expect(
+                amm.getWithdrawAmounts(liquidity, reserveA, reserveB, totalSupply),
+                `burn of ${liquidity} from ${reserveA} / ${reserveB}, supply ${totalSupply}`
+            ).to.deep.equal(
+                (await onChain(simpleSwap.removeLiquidity.staticCall(...addresses, liquidity, 0, 0, owner.address, DEADLINE))).value
+            );
+        }
+    });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { captureLogs } = require("./helpers.cjs");
+
+const { ethers } = hre;
+
+describe("Stack deployment", function () {
+    const logs = captureLogs();
+    let tmpDir;
+
+    // Runs stack:deploy quietly with a parameters file
+    function deploy(parameters) {
+        return hre.run("stack:deploy", { json: true, parameters });
+    }
+
+    // Writes a parameters file for SimpleSwapModule into the temporary folder
+    function writeParameters(name, moduleParameters) {
+        const file = path.join(tmpDir, name);
+        fs.writeFileSync(file, JSON.stringify({ SimpleSwapModule: moduleParameters }));
+        return file;
+    }
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "simpleswap-params-"));
+    });
+
+    after(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should deploy fresh tokens and seed the pool from the localhost parameters", async () => {
+        const [owner] = await ethers.getSigners();
+
+        const result = await deploy("ignition/parameters/localhost.json");
+        const simpleSwap = await ethers.getContractAt("SimpleSwap", result.simpleSwap);
+        const tokenA = await ethers.getContractAt("TokenA", result.tokenA);
+
+        expect(result.existingTokens).to.equal(false);
+        expect(result.seeded).to.equal(true);
+        expect(await simpleSwap.TokenA()).to.equal(result.tokenA);
+        expect(await simpleSwap.TokenB()).to.equal(result.tokenB);
+        expect(await tokenA.balanceOf(result.simpleSwap)).to.equal(ethers.parseEther("1000"));
+        expect(await simpleSwap.balanceOf(owner.address)).to.equal(await simpleSwap.totalSupply());
+        expect(JSON.parse(logs.at(-1))).to.deep.equal(result);
+    });
+
+    it("Should reuse existing tokens and mint the seed LP tokens to the recipient", async () => {
+        const [, user1] = await ethers.getSigners();
+        const tokenA = await (await ethers.getContractFactory("TokenA")).deploy();
+        const tokenB = await (await ethers.getContractFactory("TokenB")).deploy();
+        const file = writeParameters("existing.json", {
+            tokenA: await tokenA.getAddress(),
+            tokenB: await tokenB.getAddress(),
+            seedAmountA: "10000000000000000000n",
+            seedAmountB: "20000000000000000000n",
+            lpRecipient: user1.address,
+        });
+
+        const result = await deploy(file);
+        const simpleSwap = await ethers.getContractAt("SimpleSwap", result.simpleSwap);
+
+        expect(result.existingTokens).to.equal(true);
+        expect(result.tokenA).to.equal(await tokenA.getAddress());
+        expect(await simpleSwap.TokenB()).to.equal(await tokenB.getAddress());
+        expect(await tokenB.balanceOf(result.simpleSwap)).to.equal(ethers.parseEther("20"));
+        expect(await simpleSwap.balanceOf(user1.address)).to.be.greaterThan(0n);
+    });
+
+    it("Should deploy an empty pool without seed amounts", async () => {
+        const result = await deploy(writeParameters("empty.json", {}));
+        const simpleSwap = await ethers.getContractAt("SimpleSwap", result.simpleSwap);
+
+        expect(result.seeded).to.equal(false);
+        expect(await simpleSwap.totalSupply()).to.equal(0n);
+    });
+
+    it("Should reject incomplete parameters", async () => {
+        await expect(deploy(writeParameters("half.json", { tokenA: ethers.ZeroAddress })))
+            .to.be.rejectedWith("Set both tokenA and tokenB to reuse existing tokens");
+        await expect(deploy(writeParameters("seed.json", { seedAmountA: "1n" })))
+            .to.be.rejectedWith("Set both seedAmountA and seedAmountB to seed liquidity");
+        await expect(deploy("ignition/parameters/missing.json"))
+            .to.be.rejectedWith("Parameters file ignition/parameters/missing.json not found");
+    });
+});
@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { serve } = require("../scripts/serve.cjs");
+const { captureLogs } = require("./helpers.cjs");
+
+const { ethers } = hre;
+
+describe("Local development stack", function () {
+    const logs = captureLogs();
+    let tmpDir;
+
+    // Evaluates frontend/deployments.js followed by a registry override, as the page loads them
+    function readRegistry(override) {
+        const registry = fs.readFileSync(path.join(__dirname, "..", "frontend", "deployments.js"), "utf8");
+        return new Function(`${registry}\n${fs.readFileSync(override, "utf8")}; return deployments;`)();
+    }
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "simpleswap-dev-"));
+    });
+
+    after(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("Should deploy the seeded pool, fund accounts and write the local registry override", async () => {
+        const [, user1, user2, user3] = await ethers.getSigners();
+        const override = path.join(tmpDir, "deployments.local.js");
+
+        const setup = await hre.run("dev:setup", { accounts: 2, amount: "50", override });
+        const tokenB = await ethers.getContractAt("TokenB", setup.tokenB);
+        const entry = readRegistry(override)[31337];
+
+        expect(logs).to.deep.equal([]);
+        expect(setup.funded).to.deep.equal([user1.address, user2.address]);
+        expect(await tokenB.balanceOf(user2.address)).to.equal(ethers.parseEther("50"));
+        expect(await tokenB.balanceOf(user3.address)).to.equal(0n);
+        expect(await tokenB.balanceOf(setup.simpleSwap)).to.equal(ethers.parseEther("1000"));
+        expect(entry.contracts.exchange).to.deep.equal({ contract: "SimpleSwap", address: setup.simpleSwap });
+        expect(entry.rpcUrls).to.deep.equal(["http://127.0.0.1:8545"]);
+        expect(await ethers.provider.getCode(setup.simpleSwap, entry.startBlock)).to.not.equal("0x");
+        expect(await ethers.provider.getCode(setup.simpleSwap, entry.startBlock - 1)).to.equal("0x");
+        expect(readRegistry(override)[11155111].contracts.exchange.address).to.equal("0x2Ae790cdf28f0e7373865B42e7D1E04017F4A856");
+    });
+
+    it("Should refuse to fund more accounts than configured", async () => {
+        const override = path.join(tmpDir, "unused.js");
+
+        await expect(hre.run("dev:setup", { accounts: 100, override }))
+            .to.be.rejectedWith("Only 19 accounts besides the deployer are configured");
+    });
+
+    it("Should serve frontend files, nothing outside the folder and survive malformed paths", async () => {
+        const { server, url } = await serve(path.join(__dirname, "..", "frontend"), 0);
+        try {
+            const index = await fetch(url);
+            const script = await fetch(new URL("script.js", url));
+            const outside = await fetch(new URL("%2e%2e/package.json", url));
+            const malformed = await fetch(new URL("%E0%A4%A", url));
+
+            expect(index.status).to.equal(200);
+            expect(await index.text()).to.include('id="language"');
+            expect(script.headers.get("content-type")).to.equal("text/javascript; charset=utf-8");
+            expect(outside.status).to.equal(404);
+            expect(malformed.status).to.equal(400);
+            expect((await fetch(url)).status).to.equal(200);
+        } finally {
+            server.close();
+        }
+    });
+});
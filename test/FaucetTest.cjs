@@ -0,0 +1,104 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { startFaucet } = require("../scripts/faucet.cjs");
+const { deployPool, captureLogs } = require("./helpers.cjs");
+
+const { ethers } = hre;
+
+describe("Faucet", function () {
+    const logs = captureLogs();
+    let faucet;
+
+    // Empty pool, with its tokens described the way the pool tasks load them
+    async function deployFaucetPool() {
+        const fixture = await deployPool();
+        const tokens = [
+            { contract: fixture.tokenA, symbol: "TKNA", decimals: 18 },
+            { contract: fixture.tokenB, symbol: "TKNB", decimals: 18 },
+        ];
+        return { ...fixture, tokens };
+    }
+
+    // Starts a faucet on a free port; `now` lets a test move the clock
+    async function start(options) {
+        faucet = await startFaucet({ amount: "100", cooldown: 60, ...options }, 0);
+        return faucet.url;
+    }
+
+    function drip(url, body) {
+        return fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+    }
+
+    afterEach(() => {
+        if (faucet) faucet.server.close();
+        faucet = undefined;
+    });
+
+    it("Should send both tokens to the requested address", async () => {
+        const { owner, user1, tokenA, tokenB, tokens } = await loadFixture(deployFaucetPool);
+        const url = await start({ signer: owner, tokens });
+
+        const response = await drip(url, { address: user1.address.toLowerCase() });
+        const body = await response.json();
+
+        expect(response.status).to.equal(200);
+        expect(body.address).to.equal(user1.address);
+        expect(body.transfers.map((transfer) => transfer.symbol)).to.deep.equal(["TKNA", "TKNB"]);
+        expect(body.transfers.map((transfer) => transfer.address)).to.deep.equal([await tokenA.getAddress(), await tokenB.getAddress()]);
+        expect(await tokenA.balanceOf(user1.address)).to.equal(ethers.parseEther("100"));
+        expect(await tokenB.balanceOf(user1.address)).to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should rate-limit each address until the cooldown has passed", async () => {
+        const { owner, user1, user2, tokenA, tokens } = await loadFixture(deployFaucetPool);
+        let clock = 1_000_000;
+        const url = await start({ signer: owner, tokens, now: () => clock });
+
+        await drip(url, { address: user1.address });
+        clock += 45_000;
+        const limited = await drip(url, { address: user1.address });
+        const other = await drip(url, { address: user2.address });
+        clock += 15_000;
+        const again = await drip(url, { address: user1.address });
+
+        expect(limited.status).to.equal(429);
+        expect(limited.headers.get("retry-after")).to.equal("15");
+        expect((await limited.json()).retryAfter).to.equal(15);
+        expect(other.status).to.equal(200);
+        expect(again.status).to.equal(200);
+        expect(await tokenA.balanceOf(user1.address)).to.equal(ethers.parseEther("200"));
+    });
+
+    it("Should reject invalid requests and report an empty faucet", async () => {
+        const { user1, user2, tokens } = await loadFixture(deployFaucetPool);
+        const url = await start({ signer: user2, tokens });
+
+        const invalid = await drip(url, { address: "0x1234" });
+        const empty = await drip(url, { address: user1.address });
+
+        expect(invalid.status).to.equal(400);
+        expect(await invalid.json()).to.deep.equal({ error: "Invalid address" });
+        expect(empty.status).to.equal(503);
+        expect((await empty.json()).error).to.equal("The faucet is out of TKNA");
+        expect(empty.headers.get("access-control-allow-origin")).to.equal("*");
+    });
+
+    it("Should start from the faucet task with the pool's tokens", async () => {
+        const { owner, tokenB, pool } = await loadFixture(deployFaucetPool);
+
+        faucet = await hre.run("faucet:start", { pool, amount: "5", cooldown: 30, port: 0 });
+        const info = await (await fetch(faucet.url)).json();
+
+        expect(info).to.deep.equal({
+            chainId: 31337,
+            amount: "5",
+            cooldown: 30,
+            tokens: [
+                { symbol: "TKNA", address: info.tokens[0].address },
+                { symbol: "TKNB", address: await tokenB.getAddress() },
+            ],
+        });
+        expect(logs[0]).to.equal(`Faucet at ${faucet.url} sends 5 TKNA and TKNB from ${owner.address}, once every 30s per address`);
+    });
+});
@@ -0,0 +1,670 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { JSDOM, ResourceLoader, VirtualConsole } = require("jsdom");
+const { EventEmitter } = require("events");
+const { TextEncoder, TextDecoder } = require("util");
+const fs = require("fs");
+const path = require("path");
+const { startFaucet } = require("../scripts/faucet.cjs");
+const { deployPool } = require("./helpers.cjs");
+
+// End-to-end tests of the dApp in frontend/: index.html and its scripts run in jsdom
+// against Hardhat's in-process network, through a mock EIP-1193 wallet.
+
+const FRONTEND_DIR = path.join(__dirname, "..", "frontend");
+const DAPP_URL = "http://localhost/";
+
+// Serves frontend/ for the dApp's script tags, replacing the deployment registry
+// with the addresses of the contracts deployed by the fixture and ignoring the
+// override `npx hardhat dev` may have left.
+class FrontendLoader extends ResourceLoader {
+    constructor(registry) {
+        super();
+        this.registry = registry;
+    }
+
+    fetch(url, options) {
+        const file = new URL(url).pathname.slice(1);
+        if (file === "deployments.js") {
+            return Promise.resolve(Buffer.from(`var deployments = ${JSON.stringify(this.registry)};`));
+        }
+        if (file === "deployments.local.js") {
+            return null;
+        }
+        const target = path.join(FRONTEND_DIR, file);
+        return fs.existsSync(target) ? Promise.resolve(fs.readFileSync(target)) : null;
+    }
+}
+
+// Mock injected wallet: forwards every request to the Hardhat network, answers
+// account requests with `account`, and can be told to reject transactions or
+// to pretend the user moved to another account or chain. Switching to a chain missing from
+// `knownChains` fails with 4902 until the dApp adds it.
+function createWallet(account) {
+    const wallet = new EventEmitter();
+    wallet.rejectTransactions = false;
+    wallet.chainId = null;
+    wallet.knownChains = new Set([1, 31337]);
+    wallet.addedChains = [];
+
+    // Answers with `next` from now on and tells the dApp
+    wallet.switchAccount = (next) => {
+        account = next;
+        wallet.emit("accountsChanged", [next]);
+    };
+
+    // Reports `chainId` from now on (null: the Hardhat network's) and tells the dApp
+    wallet.switchChain = async (chainId) => {
+        wallet.chainId = chainId;
+        wallet.emit("chainChanged", await wallet.request({ method: "eth_chainId" }));
+    };
+
+    wallet.request = async ({ method, params = [] }) => {
+        switch (method) {
+            case "eth_requestAccounts":
+            case "eth_accounts":
+                return [account];
+            case "eth_subscribe":
+                // Like many injected wallets: no subscriptions, the dApp falls back to polling
+                throw Object.assign(new Error("Method not supported"), { code: 4200 });
+            case "wallet_revokePermissions":
+                return null;
+            case "eth_chainId":
+                return wallet.chainId ? "0x" + wallet.chainId.toString(16) : network.provider.request({ method });
+            case "wallet_switchEthereumChain": {
+                const chainId = Number(params[0].chainId);
+                if (!wallet.knownChains.has(chainId)) {
+                    throw Object.assign(new Error("Unrecognized chain ID"), { code: 4902 });
+                }
+                await wallet.switchChain(chainId === 31337 ? null : chainId);
+                return null;
+            }
+            case "wallet_addEthereumChain": {
+                // Like most wallets, adding a chain also switches to it
+                const chainId = Number(params[0].chainId);
+                wallet.addedChains.push(params[0]);
+                wallet.knownChains.add(chainId);
+                await wallet.switchChain(chainId === 31337 ? null : chainId);
+                return null;
+            }
+            case "eth_sendTransaction":
+                if (wallet.rejectTransactions) {
+                    throw Object.assign(new Error("User rejected the request."), { code: 4001 });
+                }
+                return network.provider.request({ method, params });
+            default:
+                return network.provider.request({ method, params });
+        }
+    };
+    return wallet;
+}
+
+// Polls `predicate` until it returns a truthy value or `timeout` ms have passed
+async function waitFor(predicate, timeout = 20000) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        const value = predicate();
+        if (value) return value;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    throw new Error("Timed out waiting for " + predicate.toString());
+}
+
+describe("Frontend", function () {
+    this.timeout(60000);
+
+    let dom;
+
+    // Deploys both tokens and the pool, seeds 1,000 TokenA / 1,000 TokenB of liquidity
+    // and builds the registry the dApp reads its addresses from.
+    async function deploySeededPool() {
+        const { owner, user1, tokenA, tokenB, simpleSwap } = await deployPool();
+
+        const amount = ethers.parseEther("1000");
+        await tokenA.approve(await simpleSwap.getAddress(), amount);
+        await tokenB.approve(await simpleSwap.getAddress(), amount);
+        await simpleSwap.addLiquidity(
+            await tokenA.getAddress(),
+            await tokenB.getAddress(),
+            amount,
+            amount,
+            amount,
+            amount,
+            owner.address,
+            Math.floor(Date.now() / 1000) + 3600
+        );
+
+        const registry = {
+            31337: {
+                chainName: "Hardhat",
+                nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+                rpcUrls: ["http://127.0.0.1:8545"],
+                blockExplorerUrls: [],
+                startBlock: 0,
+                contracts: {
+                    tokena: { contract: "TokenA", address: await tokenA.getAddress() },
+                    tokenb: { contract: "TokenB", address: await tokenB.getAddress() },
+                    exchange: { contract: "SimpleSwap", address: await simpleSwap.getAddress() },
+                },
+            },
+        };
+
+        return { owner, user1, tokenA, tokenB, simpleSwap, registry };
+    }
+
+    // Loads index.html with the mock wallet injected and `storage` prefilled in localStorage,
+    // and waits until the dApp has read the pool price and reserves, or has shown the network
+    // banner when the wallet starts on a chain without a deployment (`chainId`).
+    // `announced` wallets ({ info, provider }) answer EIP-6963 discovery.
+    async function openDApp(registry, account, storage = {}, { chainId = null, announced = [] } = {}) {
+        const wallet = createWallet(account);
+        wallet.chainId = chainId;
+        const html = fs.readFileSync(path.join(FRONTEND_DIR, "index.html"), "utf8");
+
+        // The dApp logs every handled error; only report script errors jsdom itself hits
+        const virtualConsole = new VirtualConsole();
+        virtualConsole.on("jsdomError", (error) => console.error(error));
+
+        dom = new JSDOM(html, {
+            url: DAPP_URL,
+            runScripts: "dangerously",
+            resources: new FrontendLoader(registry),
+            pretendToBeVisual: true,
+            virtualConsole,
+            beforeParse(window) {
+                window.TextEncoder = TextEncoder;
+                window.TextDecoder = TextDecoder;
+                window.ethereum = wallet;
+                window.addEventListener("eip6963:requestProvider", () => {
+                    for (const detail of announced) {
+                        window.dispatchEvent(new window.CustomEvent("eip6963:announceProvider", { detail }));
+                    }
+                });
+                // jsdom has no fetch; the faucet button posts through Node's
+                window.fetch = fetch;
+                for (const [key, value] of Object.entries(storage)) {
+                    window.localStorage.setItem(key, value);
+                }
+            },
+        });
+
+        const document = dom.window.document;
+        if (chainId) {
+            await waitFor(() => !document.getElementById("network-banner").classList.contains("hidden"));
+        } else {
+            await waitFor(() => document.getElementById("price").textContent !== "0");
+            await waitFor(() => document.getElementById("poolReserveA").textContent !== "0");
+        }
+        return { window: dom.window, document, wallet };
+    }
+
+    // Types into an input the way a user does, firing its oninput handler
+    function type(document, selector, value) {
+        const input = document.querySelector(selector);
+        input.value = value;
+        input.dispatchEvent(new document.defaultView.Event("input"));
+    }
+
+    // Text of the last toast, without the line breaks showToast() inserts
+    function toastText(document) {
+        return document.getElementById("toast").textContent;
+    }
+
+    async function connect(document, account) {
+        document.getElementById("conect").click();
+        await waitFor(() => document.getElementById("account").textContent === account.slice(0, 6) + "...");
+    }
+
+    afterEach(() => {
+        if (dom) dom.window.close();
+        dom = undefined;
+    });
+
+    it("Should connect through the injected wallet and render balances", async () => {
+        const { owner, tokenA, registry } = await loadFixture(deploySeededPool);
+        const { document } = await openDApp(registry, owner.address);
+
+        await connect(document, owner.address);
+        const balance = await tokenA.balanceOf(owner.address);
+
+        await waitFor(() => document.getElementById("balanceTokenIn").textContent === "99.99M");
+        expect(ethers.parseEther(document.getElementById("balanceTokenIn").title)).to.equal(balance);
+        expect(document.getElementById("poolReserveA").textContent).to.equal("1K");
+        expect(document.getElementById("poolReserveA").title).to.equal("1000");
+        expect(document.getElementById("disconnect").classList.contains("hidden")).to.equal(false);
+        expect(document.getElementById("faucet").classList.contains("hidden")).to.equal(true);
+    });
+
+    it("Should quote the contract's constant-product output", async () => {
+        const { owner, tokenA, tokenB, simpleSwap, registry } = await loadFixture(deploySeededPool);
+        const { document } = await openDApp(registry, owner.address);
+
+        type(document, ".IHAVE", "10");
+        const exchange = await simpleSwap.getAddress();
+        const expected = await simpleSwap.getAmountOut(
+            ethers.parseEther("10"),
+            await tokenA.balanceOf(exchange),
+            await tokenB.balanceOf(exchange)
+        );
+
+        expect(ethers.parseEther(document.querySelector(".IWANT").value)).to.equal(expected);
+        expect(document.getElementById("swap-quote").classList.contains("hidden")).to.equal(false);
+    });
+
+    it("Should approve the input token, then swap", async () => {
+        const { owner, tokenB, simpleSwap, registry } = await loadFixture(deploySeededPool);
+        const { window, document } = await openDApp(registry, owner.address);
+        await connect(document, owner.address);
+
+        // Every transaction record, as first saved when it was submitted
+        const firstSaved = new Map();
+        const save = window.saveToLocalStorage;
+        window.saveToLocalStorage = (key, value) => {
+            if (key === "SwapTransactions") {
+                for (const tx of JSON.parse(value)) if (!firstSaved.has(tx.hash)) firstSaved.set(tx.hash, tx);
+            }
+            save(key, value);
+        };
+
+        type(document, ".IHAVE", "10");
+        const button = document.getElementById("swap-submit");
+        await waitFor(() => button.textContent === "Approve TokenA");
+
+        button.click();
+        await waitFor(() => button.textContent === "Swap");
+        expect(await (await ethers.getContractAt("TokenA", registry[31337].contracts.tokena.address))
+            .allowance(owner.address, await simpleSwap.getAddress())).to.equal(ethers.parseEther("10"));
+
+        const balanceBefore = await tokenB.balanceOf(owner.address);
+        const quoted = ethers.parseEther(document.querySelector(".IWANT").value);
+        button.click();
+        await waitFor(() => toastText(document) === "Swap confirmed");
+
+        expect(await tokenB.balanceOf(owner.address) - balanceBefore).to.equal(quoted);
+        expect(document.querySelector(".IHAVE").value).to.equal("");
+
+        expect(firstSaved.size).to.equal(2);
+        for (const [hash, tx] of firstSaved) {
+            expect(tx.nonce).to.equal((await ethers.provider.getTransaction(hash)).nonce.toString());
+        }
+    });
+
+    it("Should stop waiting for a pending transaction when the wallet switches chain", async () => {
+        const { owner, registry } = await loadFixture(deploySeededPool);
+        const { window, document, wallet } = await openDApp(registry, owner.address);
+        await connect(document, owner.address);
+
+        // What each submission resolves with
+        const submissions = [];
+        const submit = window.submitTransaction;
+        window.submitTransaction = (...args) => {
+            const settled = submit(...args);
+            submissions.push(settled);
+            return settled;
+        };
+
+        // The approval stays pending until a block is mined by hand
+        await network.provider.send("evm_setAutomine", [false]);
+        try {
+            type(document, ".IHAVE", "10");
+            const button = document.getElementById("swap-submit");
+            await waitFor(() => button.textContent === "Approve TokenA");
+            button.click();
+            await waitFor(() => document.getElementById("spinner").classList.contains("active"));
+
+            await wallet.switchChain(1);
+            expect((await submissions[0]).status).to.equal("pending");
+            await waitFor(() => !document.getElementById("network-banner").classList.contains("hidden"));
+
+            // Back on the chain it was sent to, the approval is followed until it is mined
+            await network.provider.send("evm_mine");
+            await wallet.switchChain(null);
+            await waitFor(() => toastText(document) === "Approve confirmed");
+            expect(document.getElementById("spinner").classList.contains("active")).to.equal(false);
+        } finally {
+            await network.provider.send("evm_setAutomine", [true]);
+        }
+    });
+
+    it("Should refuse to send on an unsupported chain and add the chosen registry chain to the wallet", async () => {
+        const { owner, registry } = await loadFixture(deploySeededPool);
+        const { document, wallet } = await openDApp(registry, owner.address, {}, { chainId: 1 });
+        wallet.knownChains.delete(31337);
+        await connect(document, owner.address);
+
+        document.getElementById("swap-submit").click();
+        await waitFor(() => toastText(document) === "Unsupported network");
+        expect(document.getElementById("price").textContent).to.equal("0");
+
+        const options = [...document.querySelectorAll("#network-options button")];
+        expect(options.map((button) => button.textContent)).to.deep.equal(["Hardhat"]);
+        options[0].click();
+
+        await waitFor(() => document.getElementById("network-banner").classList.contains("hidden"));
+        await waitFor(() => document.getElementById("balanceTokenIn").textContent === "99.99M");
+        expect(document.getElementById("price").textContent).to.not.equal("0");
+        expect(wallet.addedChains).to.have.length(1);
+        expect(wallet.addedChains[0]).to.include({ chainId: "0x7a69", chainName: "Hardhat" });
+        expect(wallet.addedChains[0].rpcUrls).to.deep.equal(["http://127.0.0.1:8545"]);
+        expect(wallet.addedChains[0].blockExplorerUrls).to.equal(undefined);
+    });
+
+    it("Should approve an unlimited allowance once and revoke it from the token settings", async () => {
+        const { owner, tokenA, simpleSwap, registry } = await loadFixture(deploySeededPool);
+        const { window, document } = await openDApp(registry, owner.address);
+        await connect(document, owner.address);
+        const exchange = await simpleSwap.getAddress();
+
+        document.querySelector('[onclick="openTokenSettings()"]').click();
+        const unlimited = document.getElementById("approval-unlimited");
+        unlimited.checked = true;
+        unlimited.dispatchEvent(new window.Event("change"));
+
+        type(document, ".IHAVE", "10");
+        const button = document.getElementById("swap-submit");
+        await waitFor(() => button.textContent === "Approve TokenA");
+        button.click();
+        await waitFor(() => button.textContent === "Swap");
+        expect(await tokenA.allowance(owner.address, exchange)).to.equal(ethers.MaxUint256);
+
+        // A larger amount needs no new approval
+        type(document, ".IHAVE", "500");
+        await waitFor(() => button.textContent === "Swap");
+
+        document.querySelector('[onclick="openTokenSettings()"]').click();
+        const rows = () => [...document.querySelectorAll("#allowance-list .swap-detail")];
+        await waitFor(() => rows().length === 2);
+        expect(rows()[0].textContent).to.equal("TokenAUnlimited Revoke");
+        expect(rows()[1].querySelector("button").disabled).to.equal(true);
+
+        rows()[0].querySelector("button").click();
+        await waitFor(() => toastText(document) === "Revoke confirmed");
+        expect(await tokenA.allowance(owner.address, exchange)).to.equal(0n);
+        await waitFor(() => rows().length === 2 && rows()[0].textContent === "TokenA0 Revoke");
+        expect(button.textContent).to.equal("Approve TokenA");
+    });
+
+    it("Should show a decoded revert reason and send nothing when the simulation fails", async () => {
+        const { user1, simpleSwap, registry } = await loadFixture(deploySeededPool);
+        const { document } = await openDApp(registry, user1.address);
+        await connect(document, user1.address);
+
+        // user1 holds no TokenA: approving works, the swap simulation reverts
+        type(document, ".IHAVE", "10");
+        const button = document.getElementById("swap-submit");
+        await waitFor(() => button.textContent === "Approve TokenA");
+        button.click();
+        await waitFor(() => button.textContent === "Swap");
+
+        const blockBefore = await ethers.provider.getBlockNumber();
+        button.click();
+        await waitFor(() => toastText(document).startsWith("Balance 0 TokenA"));
+
+        expect(toastText(document)).to.equal("Balance 0 TokenA is less than 10 TokenA needed — lower the amount");
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        expect(await simpleSwap.balanceOf(user1.address)).to.equal(0n);
+    });
+
+    it("Should name the token the account is short of when adding liquidity fails", async () => {
+        const { owner, user1, tokenA, simpleSwap, registry } = await loadFixture(deploySeededPool);
+        // user1 holds TokenA but no TokenB
+        await tokenA.transfer(user1.address, ethers.parseEther("10"));
+        const { document } = await openDApp(registry, user1.address);
+        await connect(document, user1.address);
+
+        type(document, ".ADD-A", "10");
+        expect(document.querySelector(".ADD-B").value).to.equal("10");
+        const button = document.getElementById("liquidity-add-submit");
+        button.click();
+        await waitFor(() => toastText(document).startsWith("Balance"));
+
+        expect(toastText(document)).to.equal("Balance 0 TokenB is less than 10 TokenB needed — lower the amount");
+        expect(await simpleSwap.balanceOf(user1.address)).to.equal(0n);
+        expect(await simpleSwap.balanceOf(owner.address)).to.equal(ethers.parseEther("1000"));
+    });
+
+    it("Should tell the user when the wallet rejects the transaction", async () => {
+        const { owner, registry } = await loadFixture(deploySeededPool);
+        const { document, wallet } = await openDApp(registry, owner.address);
+        await connect(document, owner.address);
+
+        wallet.rejectTransactions = true;
+        type(document, ".IHAVE", "10");
+        document.getElementById("swap-submit").click();
+
+        await waitFor(() => toastText(document) === "Request rejected in your wallet");
+    });
+
+    it("Should show the LP position and follow it after a swap", async () => {
+        const { owner, user1, tokenA, simpleSwap, registry } = await loadFixture(deploySeededPool);
+        const { document } = await openDApp(registry, owner.address);
+        await connect(document, owner.address);
+
+        const text = (id) => document.getElementById(id).textContent;
+        await waitFor(() => text("positionLP") === "1K");
+        expect(text("positionShare")).to.equal("100%");
+        expect(text("positionA")).to.equal("1K");
+        expect(text("positionB")).to.equal("1K");
+        expect(text("tvlA")).to.equal("1K");
+
+        // A swap by someone else moves the pool balances the position redeems for
+        const exchange = await simpleSwap.getAddress();
+        await tokenA.transfer(user1.address, ethers.parseEther("100"));
+        await tokenA.connect(user1).approve(exchange, ethers.parseEther("100"));
+        await simpleSwap.connect(user1).swapExactTokensForTokens(
+            ethers.parseEther("100"),
+            0,
+            [await tokenA.getAddress(), registry[31337].contracts.tokenb.address],
+            user1.address,
+            Math.floor(Date.now() / 1000) + 3600
+        );
+
+        await waitFor(() => text("tvlA") === "1.1K", 10000);
+        expect(text("positionA")).to.equal("1.1K");
+        expect(text("positionB")).to.equal("909.0909");
+        expect(document.getElementById("positionA").title).to.equal("1100");
+        expect(text("positionShare")).to.equal("100%");
+    });
+
+    it("Should catch up on pool activity after a long gap in pages of 5000 blocks", async () => {
+        const { owner, tokenA, tokenB, simpleSwap, registry } = await loadFixture(deploySeededPool);
+        const { window, document } = await openDApp(registry, owner.address);
+
+        // Sizes of the block ranges the pool watcher asks logs for
+        const ranges = [];
+        const getLogs = window.getLogs;
+        window.getLogs = (fromBlock, toBlock, addresses) => {
+            ranges.push(toBlock - fromBlock + 1);
+            return getLogs(fromBlock, toBlock, addresses);
+        };
+
+        await network.provider.send("hardhat_mine", ["0x2af8"]);
+        const exchange = await simpleSwap.getAddress();
+        await tokenA.approve(exchange, ethers.parseEther("100"));
+        await simpleSwap.swapExactTokensForTokens(
+            ethers.parseEther("100"),
+            0,
+            [await tokenA.getAddress(), await tokenB.getAddress()],
+            owner.address,
+            ethers.MaxUint256
+        );
+
+        await waitFor(() => document.getElementById("tvlA").textContent === "1.1K", 10000);
+        expect(Math.max(...ranges)).to.equal(5000);
+    });
+
+    it("Should list the EIP-6963 wallets in the picker and connect and remember the chosen one", async () => {
+        const { owner, user1, registry } = await loadFixture(deploySeededPool);
+        const icon = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg'/%3E";
+        const announced = [
+            { info: { uuid: "uuid-one", name: "Wallet One", icon, rdns: "org.example.one" }, provider: createWallet(user1.address) },
+            { info: { uuid: "uuid-two", name: "Wallet Two", icon, rdns: "org.example.two" }, provider: createWallet(owner.address) },
+        ];
+        const { window, document } = await openDApp(registry, user1.address, {}, { announced });
+
+        document.getElementById("conect").click();
+        expect(document.getElementById("wallet-modal").classList.contains("hidden")).to.equal(false);
+        const options = [...document.querySelectorAll("#wallet-list .wallet-option")];
+        expect(options.map((option) => option.textContent)).to.deep.equal(["Wallet One", "Wallet Two", "Browser wallet"]);
+        expect(options[1].querySelector("img").src).to.equal(icon);
+
+        options[1].click();
+        await waitFor(() => document.getElementById("account").textContent === owner.address.slice(0, 6) + "...");
+        expect(document.getElementById("wallet-modal").classList.contains("hidden")).to.equal(true);
+        expect(window.localStorage.getItem("SwapWallet")).to.equal("org.example.two");
+    });
+
+    it("Should follow account and chain changes in the wallet and disconnect on request", async () => {
+        const { owner, user1, registry } = await loadFixture(deploySeededPool);
+        const { window, document, wallet } = await openDApp(registry, owner.address);
+        await connect(document, owner.address);
+        const balance = () => document.getElementById("balanceTokenIn").textContent;
+        await waitFor(() => balance() === "99.99M");
+
+        wallet.switchAccount(user1.address);
+        await waitFor(() => toastText(document) === "Account changed");
+        expect(document.getElementById("account").textContent).to.equal(user1.address.slice(0, 6) + "...");
+        await waitFor(() => balance() === "0");
+
+        await wallet.switchChain(1);
+        await waitFor(() => !document.getElementById("network-banner").classList.contains("hidden"));
+        await wallet.switchChain(null);
+        await waitFor(() => document.getElementById("network-banner").classList.contains("hidden"));
+        expect(document.getElementById("account").textContent).to.equal(user1.address.slice(0, 6) + "...");
+
+        document.getElementById("disconnect").click();
+        await waitFor(() => toastText(document) === "Disconnected");
+        expect(document.getElementById("account").textContent).to.equal("Connect");
+        expect(document.getElementById("disconnect").classList.contains("hidden")).to.equal(true);
+        expect(window.localStorage.getItem("SwapWallet")).to.equal(null);
+    });
+
+    it("Should page the account's history by block range, link the explorer and add new events", async () => {
+        const { owner, tokenA, tokenB, simpleSwap, registry } = await loadFixture(deploySeededPool);
+        const explorer = "https://explorer.example";
+        const exchange = await simpleSwap.getAddress();
+        const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+        await tokenA.approve(exchange, ethers.MaxUint256);
+
+        // The seed deposit ends up more than one 5000-block page below the swap
+        await network.provider.send("hardhat_mine", ["0x1770"]);
+        const swap = await simpleSwap.swapExactTokensForTokens(ethers.parseEther("100"), 0, path, owner.address, ethers.MaxUint256);
+
+        const { document } = await openDApp({ 31337: { ...registry[31337], blockExplorerUrls: [explorer] } }, owner.address);
+        await connect(document, owner.address);
+        const entries = () => [...document.querySelectorAll("#history-list .history-entry")];
+        const more = document.getElementById("history-more");
+
+        await waitFor(() => entries().length === 1);
+        expect(entries()[0].querySelector(".history-kind").textContent).to.equal("Swap");
+        expect(entries()[0].querySelector(".history-description").textContent).to.match(/^100 TokenA → 90\.9\d* TokenB$/);
+        expect(entries()[0].querySelector("a").href).to.equal(`${explorer}/tx/${swap.hash}`);
+        expect(more.classList.contains("hidden")).to.equal(false);
+
+        more.click();
+        await waitFor(() => entries().length === 2);
+        expect(entries()[1].querySelector(".history-kind").textContent).to.equal("Add");
+        expect(entries()[1].querySelector(".history-description").textContent).to.equal("1,000 TokenA + 1,000 TokenB");
+        expect(more.classList.contains("hidden")).to.equal(true);
+
+        await simpleSwap.swapExactTokensForTokens(ethers.parseEther("10"), 0, path, owner.address, ethers.MaxUint256);
+        await waitFor(() => entries().length === 3, 10000);
+        expect(entries()[0].querySelector(".history-description").textContent).to.match(/^10 TokenA → /);
+    });
+
+    it("Should reconnect the wallet remembered in localStorage", async () => {
+        const { owner, registry } = await loadFixture(deploySeededPool);
+        const { document } = await openDApp(registry, owner.address, { SwapWallet: "legacy" });
+
+        await waitFor(() => document.getElementById("account").textContent === owner.address.slice(0, 6) + "...");
+        await waitFor(() => document.getElementById("balanceTokenIn").textContent === "99.99M");
+    });
+
+    it("Should render labels, amounts and errors in the persisted locale", async () => {
+        const { owner, registry } = await loadFixture(deploySeededPool);
+        const { document, wallet } = await openDApp(registry, owner.address, { SwapLocale: "es" });
+
+        expect(document.documentElement.lang).to.equal("es");
+        expect(document.getElementById("language").value).to.equal("es");
+        expect(document.getElementById("account").textContent).to.equal("Conectar");
+        expect(document.getElementById("tab-liquidity").textContent).to.equal("Liquidez");
+
+        await connect(document, owner.address);
+        await waitFor(() => document.getElementById("balanceTokenIn").textContent === "99,99M");
+
+        // Amounts typed with the locale's decimal comma are accepted
+        type(document, ".IHAVE", "1,5");
+        expect(document.getElementById("swap-quote").classList.contains("hidden")).to.equal(false);
+
+        wallet.rejectTransactions = true;
+        document.getElementById("swap-submit").click();
+        await waitFor(() => toastText(document) === "Solicitud rechazada en tu billetera");
+    });
+
+    it("Should read typed amounts with the locale's group and decimal separators", async () => {
+        const { owner, simpleSwap, registry } = await loadFixture(deploySeededPool);
+        const { window, document } = await openDApp(registry, owner.address, { SwapLocale: "es" });
+        const reserve = ethers.parseEther("1000");
+        const quoteFor = async (amountIn) => ethers.formatEther(await simpleSwap.getAmountOut(amountIn, reserve, reserve)).replace(".", ",");
+
+        expect(window.normalizeAmountInput("1.000")).to.equal("1000");
+        expect(window.normalizeAmountInput("1.000,5")).to.equal("1000.5");
+        expect(window.normalizeAmountInput("1.5")).to.equal("1.5");
+
+        // The quote is filled in with the decimal comma too
+        type(document, ".IHAVE", "1.000");
+        expect(document.querySelector(".IWANT").value).to.equal("500");
+        type(document, ".IHAVE", "1.000,5");
+        expect(document.querySelector(".IWANT").value).to.equal(await quoteFor(ethers.parseEther("1000.5")));
+        type(document, ".IHAVE", "1,5");
+        expect(document.querySelector(".IWANT").value).to.equal(await quoteFor(ethers.parseEther("1.5")));
+    });
+
+    it("Should switch locale from the language picker and remember it", async () => {
+        const { owner, registry } = await loadFixture(deploySeededPool);
+        const { window, document } = await openDApp(registry, owner.address);
+        await connect(document, owner.address);
+        await waitFor(() => document.getElementById("balanceTokenIn").textContent === "99.99M");
+
+        const picker = document.getElementById("language");
+        picker.value = "es";
+        picker.dispatchEvent(new window.Event("change"));
+
+        expect(document.getElementById("swap-submit").textContent).to.equal("Intercambiar");
+        expect(document.getElementById("balanceTokenIn").textContent).to.equal("99,99M");
+        expect(document.getElementById("poolReserveA").textContent).to.equal("1K");
+        expect(window.localStorage.getItem("SwapLocale")).to.equal("es");
+    });
+
+    it("Should get test tokens from the chain's faucet", async () => {
+        const { owner, user1, tokenA, tokenB, registry } = await loadFixture(deploySeededPool);
+        const tokens = [
+            { contract: tokenA, symbol: "TKNA", decimals: 18 },
+            { contract: tokenB, symbol: "TKNB", decimals: 18 },
+        ];
+        const { server, url } = await startFaucet({ signer: owner, tokens, amount: "25", cooldown: 600 }, 0);
+
+        try {
+            const { document } = await openDApp({ 31337: { ...registry[31337], faucetUrl: url } }, user1.address);
+            const button = document.getElementById("faucet");
+            expect(button.classList.contains("hidden")).to.equal(true);
+
+            await connect(document, user1.address);
+            expect(button.classList.contains("hidden")).to.equal(false);
+
+            button.click();
+            // The balance poller may pick up the transfers before the faucet answers, so wait for the toast
+            await waitFor(() => toastText(document).startsWith("Received"));
+            expect(toastText(document)).to.equal("Received 25 TKNA + 25 TKNB");
+            await waitFor(() => document.getElementById("balanceTokenIn").textContent === "25");
+            expect(await tokenB.balanceOf(user1.address)).to.equal(ethers.parseEther("25"));
+
+            button.click();
+            await waitFor(() => toastText(document).startsWith("Tokens already sent"));
+            expect(toastText(document)).to.equal("Tokens already sent to this address, try again in 10 min");
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { deployPool, captureLogs } = require("./helpers.cjs");
+
+const { ethers } = hre;
+
+describe("Pool tasks", function () {
+    const logs = captureLogs();
+
+    // Same pool with 1,000 TokenA / 2,000 TokenB deposited through the tasks
+    async function deploySeededPool() {
+        const fixture = await deployPool();
+        await run("token:approve", { pool: fixture.pool, token: "A", amount: "max" });
+        await run("token:approve", { pool: fixture.pool, token: "B", amount: "max" });
+        await run("pool:add-liquidity", { pool: fixture.pool, amountA: "1000", amountB: "2000" });
+        return fixture;
+    }
+
+    // Runs a task with JSON output, which is what the assertions read back
+    function run(name, args) {
+        return hre.run(name, { json: true, ...args });
+    }
+
+    it("Should report reserves, prices, supply and a position", async () => {
+        const { owner, tokenA, pool } = await loadFixture(deploySeededPool);
+
+        const info = await run("pool:info", { pool, account: owner.address });
+
+        expect(info.pool).to.equal(pool);
+        expect(info.tokenA).to.deep.equal({ symbol: "TKNA", address: await tokenA.getAddress(), reserve: "1000.0" });
+        expect(info.tokenB.reserve).to.equal("2000.0");
+        expect(info.priceAInB).to.equal("2.0");
+        expect(info.priceBInA).to.equal("0.5");
+        expect(info.position.sharePercent).to.equal("100.0");
+        expect(info.position.redeemableB).to.equal("2000.0");
+        expect(JSON.parse(logs.at(-1))).to.deep.equal(info);
+    });
+
+    it("Should print plain key/value lines without --json", async () => {
+        const { pool } = await loadFixture(deploySeededPool);
+
+        const info = await run("pool:info", { pool, json: false });
+
+        expect(logs).to.include("lpSupply: " + info.lpSupply);
+        expect(logs).to.include("tokenA:");
+        expect(logs).to.include("  symbol: TKNA");
+    });
+
+    it("Should quote with the contract's getAmountOut", async () => {
+        const { simpleSwap, pool } = await loadFixture(deploySeededPool);
+
+        const quote = await run("pool:quote", { pool, tokenIn: "TKNA", amountIn: "10", slippage: "1" });
+        const expected = await simpleSwap.getAmountOut(ethers.parseEther("10"), ethers.parseEther("1000"), ethers.parseEther("2000"));
+
+        expect(quote.tokenOut).to.equal("TKNB");
+        expect(quote.amountOut).to.equal(ethers.formatEther(expected));
+        expect(quote.minReceived).to.equal(ethers.formatEther((expected * 99n) / 100n));
+    });
+
+    it("Should swap and report the executed amounts", async () => {
+        const { owner, tokenB, pool } = await loadFixture(deploySeededPool);
+        const before = await tokenB.balanceOf(owner.address);
+
+        const quote = await run("pool:quote", { pool, tokenIn: "A", amountIn: "10" });
+        const swap = await run("pool:swap", { pool, tokenIn: "A", amountIn: "10" });
+
+        expect(swap.amountIn).to.equal("10.0");
+        expect(swap.amountOut).to.equal(quote.amountOut);
+        expect(swap.to).to.equal(owner.address);
+        expect(await tokenB.balanceOf(owner.address) - before).to.equal(ethers.parseEther(swap.amountOut));
+    });
+
+    it("Should refuse to swap without allowance", async () => {
+        const { user1, tokenA, pool } = await loadFixture(deploySeededPool);
+        await tokenA.transfer(user1.address, ethers.parseEther("10"));
+
+        await expect(run("pool:swap", { pool, tokenIn: "A", amountIn: "10", from: user1.address }))
+            .to.be.rejectedWith("Allowance of TKNA is 0.0; run token:approve first");
+    });
+
+    it("Should refuse to add liquidity without allowance for the amounts taken", async () => {
+        const { user1, tokenA, tokenB, pool } = await loadFixture(deploySeededPool);
+        await tokenA.transfer(user1.address, ethers.parseEther("10"));
+        await tokenB.transfer(user1.address, ethers.parseEther("50"));
+        await tokenA.connect(user1).approve(pool, ethers.parseEther("10"));
+        await tokenB.connect(user1).approve(pool, ethers.parseEther("15"));
+
+        await expect(run("pool:add-liquidity", { pool, amountA: "10", amountB: "50", from: user1.address }))
+            .to.be.rejectedWith("Allowance of TKNB is 15.0; run token:approve first");
+
+        // At the 1:2 price, 10 TKNA only takes 20 TKNB
+        await tokenB.connect(user1).approve(pool, ethers.parseEther("20"));
+        const deposit = await run("pool:add-liquidity", { pool, amountA: "10", amountB: "50", from: user1.address });
+        expect(deposit.amountB).to.equal("20.0");
+    });
+
+    it("Should approve an exact amount for a spender", async () => {
+        const { owner, user1, tokenB, pool } = await loadFixture(deployPool);
+
+        const approval = await run("token:approve", { pool, token: "B", amount: "12.5", spender: user1.address });
+
+        expect(approval.allowance).to.equal("12.5");
+        expect(await tokenB.allowance(owner.address, user1.address)).to.equal(ethers.parseEther("12.5"));
+    });
+
+    it("Should remove all liquidity", async () => {
+        const { owner, simpleSwap, pool } = await loadFixture(deploySeededPool);
+
+        const removal = await run("pool:remove-liquidity", { pool, liquidity: "all" });
+
+        expect(removal.amountA).to.equal("1000.0");
+        expect(removal.amountB).to.equal("2000.0");
+        expect(await simpleSwap.balanceOf(owner.address)).to.equal(0n);
+    });
+
+    it("Should reject unknown tokens and missing deployments", async () => {
+        const { pool } = await loadFixture(deployPool);
+
+        await expect(run("pool:quote", { pool, tokenIn: "C", amountIn: "1" }))
+            .to.be.rejectedWith('"C" is not a token of the pool');
+        await expect(run("pool:info", { deploymentId: "missing" }))
+            .to.be.rejectedWith("No Ignition deployment in ignition/deployments/missing");
+    });
+});
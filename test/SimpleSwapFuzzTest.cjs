@@ -0,0 +1,363 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { getAddLiquidityResult, getAmountOut, getWithdrawAmounts } = require("../scripts/amm.cjs");
+const { deployPool } = require("./helpers.cjs");
+
+// Property-based tests: random sequences of addLiquidity, removeLiquidity and swaps from
+// several accounts, with the pool invariants checked after every step.
+//
+//   FUZZ_SEED   first seed (default 1); run i uses FUZZ_SEED + i
+//   FUZZ_RUNS   sequences per property (default 8)
+//   FUZZ_STEPS  actions per sequence (default 40)
+//
+// A failing sequence is shrunk to a minimal one and reported with the seed that replays it.
+
+const SEED = Number(process.env.FUZZ_SEED || 1);
+const RUNS = Number(process.env.FUZZ_RUNS || 8);
+const STEPS = Number(process.env.FUZZ_STEPS || 40);
+
+// Most replays a shrink may try before reporting what it has
+const SHRINK_BUDGET = 400;
+
+// Storage slots of SimpleSwap: the five ERC20 slots, then owner, reserveA, reserveB, liquidityBalance
+const TOTAL_SUPPLY_SLOT = 2;
+const RESERVE_A_SLOT = 6;
+const RESERVE_B_SLOT = 7;
+const LIQUIDITY_BALANCE_SLOT = 8;
+
+// Deterministic generator (mulberry32), so a seed always yields the same sequence
+function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        int: (max) => Math.floor(next() * max),
+        pick: (list) => list[Math.floor(next() * list.length)],
+    };
+}
+
+// Returns the error `run` throws for `actions`, or null when the property holds
+async function attempt(run, actions) {
+    try {
+        await run(actions);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+// Shrinks a failing sequence: drops chunks of actions, then moves each field named in
+// `minimums` (and every boolean) as close to its minimum as still fails.
+// `run` marks failures with `error.step`, the index of the failing action.
+async function shrink(actions, error, run, minimums) {
+    let best = actions.slice(0, error.step + 1);
+    let bestError = error;
+    let attempts = 0;
+
+    const fails = async (candidate) => {
+        if (attempts >= SHRINK_BUDGET) return false;
+        attempts++;
+        const failure = await attempt(run, candidate);
+        if (!failure) return false;
+        best = candidate.slice(0, failure.step + 1);
+        bestError = failure;
+        return true;
+    };
+
+    const withField = (index, key, value) => best.map((action, i) => (i === index ? { ...action, [key]: value } : action));
+    const half = (lo, hi) => (typeof lo === "bigint" ? (lo + hi) / 2n : Math.floor((lo + hi) / 2));
+
+    let improved = true;
+    while (improved && attempts < SHRINK_BUDGET) {
+        improved = false;
+
+        for (let size = Math.ceil(best.length / 2); size >= 1 && !improved; size = Math.floor(size / 2)) {
+            for (let start = 0; start + size <= best.length; start += size) {
+                if (await fails([...best.slice(0, start), ...best.slice(start + size)])) {
+                    improved = true;
+                    break;
+                }
+            }
+        }
+        if (improved) continue;
+
+        for (let index = 0; index < best.length && !improved; index++) {
+            for (const [key, value] of Object.entries(best[index])) {
+                if (index >= best.length) break;
+                if (value === true) {
+                    if (await fails(withField(index, key, false))) improved = true;
+                    continue;
+                }
+                if (!(key in minimums) || value <= minimums[key]) continue;
+
+                // Binary search for the smallest value that still fails
+                let lo = minimums[key];
+                let hi = value;
+                if (await fails(withField(index, key, lo))) {
+                    hi = lo;
+                } else {
+                    while (hi - lo > 1 && index < best.length) {
+                        const mid = half(lo, hi);
+                        if (await fails(withField(index, key, mid))) hi = mid;
+                        else lo = mid;
+                    }
+                }
+                if (hi !== value) improved = true;
+            }
+        }
+    }
+
+    return { sequence: best, error: bestError };
+}
+
+// Runs `runs` random sequences through `run`; on a failure shrinks it and throws an error
+// naming the seed and listing the minimal sequence (also attached as `error.sequence`)
+async function forAll({ seed, runs, steps, generate, run, describe, minimums }) {
+    for (let index = 0; index < runs; index++) {
+        const runSeed = seed + index;
+        const actions = Array.from({ length: steps }, ((random) => () => generate(random))(createRandom(runSeed)));
+
+        const error = await attempt(run, actions);
+        if (!error) continue;
+
+        const minimal = await shrink(actions, error, run, minimums);
+        const lines = minimal.sequence.map((action, step) => `  ${step + 1}. ${describe(action)}`);
+        const failure = new Error(
+            `Property failed for seed ${runSeed}: ${minimal.error.message}\n` +
+            `Minimal sequence (${minimal.sequence.length} steps):\n${lines.join("\n")}\n` +
+            `Replay with FUZZ_SEED=${runSeed} FUZZ_RUNS=1 FUZZ_STEPS=${steps}`
+        );
+        failure.seed = runSeed;
+        failure.sequence = minimal.sequence;
+        throw failure;
+    }
+}
+
+describe("SimpleSwap invariants", function () {
+    this.timeout(600000);
+
+    const ACTORS = 3;
+    const FUNDS = ethers.parseEther("1000000");
+
+    // Token pair and empty pool, with ACTORS accounts holding FUNDS of each token
+    // and the pool approved to spend all of it
+    async function deployFuzzPool() {
+        const [, ...signers] = await ethers.getSigners();
+        const actors = signers.slice(0, ACTORS);
+        const fixture = await deployPool();
+        const { tokenA, tokenB, pool } = fixture;
+
+        for (const actor of actors) {
+            for (const token of [tokenA, tokenB]) {
+                await token.transfer(actor.address, FUNDS);
+                await token.connect(actor).approve(pool, ethers.MaxUint256);
+            }
+        }
+
+        return { ...fixture, actors };
+    }
+
+    async function readSlot(pool, slot) {
+        return BigInt(await ethers.provider.getStorage(pool, slot));
+    }
+
+    async function readReserves({ pool }) {
+        return [await readSlot(pool, RESERVE_A_SLOT), await readSlot(pool, RESERVE_B_SLOT)];
+    }
+
+    function liquidityBalanceSlot(account) {
+        return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [account, LIQUIDITY_BALANCE_SLOT]));
+    }
+
+    // 1 wei up to ~9 * 10^23, spread evenly over orders of magnitude
+    function randomAmount(random) {
+        return BigInt(1 + random.int(9)) * 10n ** BigInt(random.int(24));
+    }
+
+    function generateAction(random) {
+        const actor = random.int(ACTORS);
+        switch (random.pick(["add", "add", "swap", "swap", "swap", "remove"])) {
+            case "add":
+                return { type: "add", actor, amountA: randomAmount(random), amountB: randomAmount(random) };
+            case "swap":
+                return { type: "swap", actor, aToB: random.int(2) === 1, amountIn: randomAmount(random) };
+            default:
+                return { type: "remove", actor, permille: 1 + random.int(1000) };
+        }
+    }
+
+    function describeAction(action) {
+        const actor = `user${action.actor + 1}`;
+        if (action.type === "add") return `${actor} addLiquidity ${action.amountA} A / ${action.amountB} B`;
+        if (action.type === "swap") return `${actor} swap ${action.amountIn} ${action.aToB ? "A -> B" : "B -> A"}`;
+        return `${actor} removeLiquidity ${action.permille}‰ of its LP`;
+    }
+
+    const min = (a, b) => (a < b ? a : b);
+
+    // Executes one action, capped to what the actor holds, and checks its own outcome.
+    // Actions the actor cannot take (nothing to remove, nothing to swap against) are skipped.
+    async function applyAction(context, action) {
+        const { actors, tokenA, tokenB, simpleSwap, addresses } = context;
+        const actor = actors[action.actor];
+        const [reserveA, reserveB] = await readReserves(context);
+        const supply = await simpleSwap.totalSupply();
+
+        if (action.type === "add") {
+            const amountA = min(action.amountA, await tokenA.balanceOf(actor.address));
+            const amountB = min(action.amountB, await tokenB.balanceOf(actor.address));
+            if (amountA === 0n || amountB === 0n) return;
+
+            const add = simpleSwap.connect(actor).addLiquidity(...addresses, amountA, amountB, 0, 0, actor.address, ethers.MaxUint256);
+            let expected;
+            try {
+                expected = getAddLiquidityResult(amountA, amountB, reserveA, reserveB, supply);
+            } catch (error) {
+                await expect(add).to.be.revertedWith(error.message);
+                return;
+            }
+            await expect(add).to.changeTokenBalances(simpleSwap, [actor], [expected.liquidity]);
+            expect(await readReserves(context)).to.deep.equal([reserveA + expected.amountA, reserveB + expected.amountB]);
+            return;
+        }
+
+        if (action.type === "remove") {
+            const liquidity = ((await simpleSwap.balanceOf(actor.address)) * BigInt(action.permille)) / 1000n;
+            if (liquidity === 0n) return;
+
+            const expected = getWithdrawAmounts(liquidity, reserveA, reserveB, supply);
+            const remove = simpleSwap.connect(actor).removeLiquidity(...addresses, liquidity, 0, 0, actor.address, ethers.MaxUint256);
+            await expect(remove).to.changeTokenBalances(tokenA, [actor], [expected.amountA]);
+            expect(await readReserves(context)).to.deep.equal([reserveA - expected.amountA, reserveB - expected.amountB]);
+            return;
+        }
+
+        const [tokenIn, tokenOut] = action.aToB ? [tokenA, tokenB] : [tokenB, tokenA];
+        const [reserveIn, reserveOut] = action.aToB ? [reserveA, reserveB] : [reserveB, reserveA];
+        const amountIn = min(action.amountIn, await tokenIn.balanceOf(actor.address));
+        if (amountIn === 0n || supply === 0n) return;
+
+        // Quote as the dApp and the tasks do, then compare with what the swap pays
+        const quote = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut);
+        expect(getAmountOut(amountIn, reserveIn, reserveOut), "the dApp's quote").to.equal(quote);
+        const path = action.aToB ? addresses : [...addresses].reverse();
+        const swap = simpleSwap.connect(actor).swapExactTokensForTokens(amountIn, quote, path, actor.address, ethers.MaxUint256);
+        await expect(swap).to.changeTokenBalances(tokenOut, [actor], [quote]);
+
+        const [afterA, afterB] = await readReserves(context);
+        expect(afterA * afterB, "reserveA * reserveB decreased on a swap").to.be.at.least(reserveA * reserveB);
+    }
+
+    // Invariants that hold between any two actions
+    async function checkInvariants(context) {
+        const { actors, tokenA, tokenB, simpleSwap, pool } = context;
+        const [reserveA, reserveB] = await readReserves(context);
+        const supply = await simpleSwap.totalSupply();
+
+        expect(reserveA, "reserveA equals the pool's TokenA balance").to.equal(await tokenA.balanceOf(pool));
+        expect(reserveB, "reserveB equals the pool's TokenB balance").to.equal(await tokenB.balanceOf(pool));
+
+        let sum = 0n;
+        for (const actor of actors) {
+            const balance = await simpleSwap.balanceOf(actor.address);
+            expect(await readSlot(pool, liquidityBalanceSlot(actor.address)), "liquidityBalance mirrors the LP balance").to.equal(balance);
+            sum += balance;
+        }
+        expect(sum, "LP supply equals the sum of LP balances").to.equal(supply);
+        if (supply === 0n) expect([reserveA, reserveB], "an empty pool holds no tokens").to.deep.equal([0n, 0n]);
+    }
+
+    // Every provider withdraws everything: each gets exactly its pro-rata share and the pool ends empty
+    async function withdrawEverything(context) {
+        const { actors, tokenA, tokenB, simpleSwap, addresses } = context;
+        for (const actor of actors) {
+            const liquidity = await simpleSwap.balanceOf(actor.address);
+            if (liquidity === 0n) continue;
+
+            const [reserveA, reserveB] = await readReserves(context);
+            const supply = await simpleSwap.totalSupply();
+            const expected = getWithdrawAmounts(liquidity, reserveA, reserveB, supply);
+            const remove = simpleSwap.connect(actor).removeLiquidity(...addresses, liquidity, 0, 0, actor.address, ethers.MaxUint256);
+            await expect(remove).to.changeTokenBalances(tokenA, [actor], [expected.amountA]);
+            expect(await tokenB.balanceOf(context.pool)).to.equal(reserveB - expected.amountB);
+        }
+        expect(await simpleSwap.totalSupply()).to.equal(0n);
+        expect(await readReserves(context)).to.deep.equal([0n, 0n]);
+    }
+
+    // Replays a sequence on a fresh pool, marking the failing action in error.step
+    async function runSequence(actions) {
+        const context = await loadFixture(deployFuzzPool);
+        let step = 0;
+        try {
+            for (; step < actions.length; step++) {
+                await applyAction(context, actions[step]);
+                await checkInvariants(context);
+            }
+            await withdrawEverything(context);
+        } catch (error) {
+            error.step = step;
+            throw error;
+        }
+    }
+
+    const MINIMUMS = { actor: 0, amountA: 1n, amountB: 1n, amountIn: 1n, permille: 1 };
+
+    it("Should read reserves and supply from the expected storage slots", async () => {
+        const context = await loadFixture(deployFuzzPool);
+        const { actors, simpleSwap, addresses, pool } = context;
+
+        await simpleSwap.connect(actors[0]).addLiquidity(...addresses, 1000n, 4000n, 0, 0, actors[0].address, ethers.MaxUint256);
+
+        expect(await readSlot(pool, TOTAL_SUPPLY_SLOT)).to.equal(await simpleSwap.totalSupply());
+        expect(await readReserves(context)).to.deep.equal([1000n, 4000n]);
+        expect(await readSlot(pool, liquidityBalanceSlot(actors[0].address))).to.equal(2000n);
+    });
+
+    it("Should keep reserves, LP supply, k and quotes consistent over random sequences", async () => {
+        await forAll({
+            seed: SEED,
+            runs: RUNS,
+            steps: STEPS,
+            generate: generateAction,
+            run: runSequence,
+            describe: describeAction,
+            minimums: MINIMUMS,
+        });
+    });
+
+    it("Should generate the same sequence for the same seed", () => {
+        const sequence = (seed) => {
+            const random = createRandom(seed);
+            return Array.from({ length: 20 }, () => generateAction(random));
+        };
+
+        expect(sequence(42)).to.deep.equal(sequence(42));
+        expect(sequence(42)).to.not.deep.equal(sequence(43));
+    });
+
+    it("Should shrink a failing sequence to a minimal one", async () => {
+        // A deliberately false property: no swap may exceed 1,000
+        const run = async (actions) => {
+            actions.forEach((action, step) => {
+                if (action.type === "swap" && action.amountIn > 1000n) {
+                    throw Object.assign(new Error("swap too large"), { step });
+                }
+            });
+        };
+
+        const failure = await forAll({ seed: SEED, runs: 5, steps: STEPS, generate: generateAction, run, describe: describeAction, minimums: MINIMUMS })
+            .then(() => null, (error) => error);
+
+        expect(failure).to.not.equal(null);
+        expect(failure.sequence).to.deep.equal([{ type: "swap", actor: 0, aToB: false, amountIn: 1001n }]);
+        expect(failure.message).to.include("Minimal sequence (1 steps):\n  1. user1 swap 1001 B -> A");
+        expect(failure.message).to.include(`Replay with FUZZ_SEED=${failure.seed} FUZZ_RUNS=1`);
+    });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { getAmountOut } = require("../scripts/amm.cjs");
 
 // Main test suite for the SimpleSwap contract.
 describe("SimpleSwap", function () {
@@ -418,7 +419,7 @@ describe("SimpleSwap", function () {
         it("Should calculate correct output using getAmountOut", async () => {
             // Call getAmountOut with a hypothetical input of 1 Token, and reserves of 1000 TokenA and 1000 TokenB.
             // In a simple constant product formula (X*Y=K) with no fees, swapping 1 TokenA for TokenB
-            // with 1000:1000 reserves would yield (1000 * 1000) / (1000 + 1) = 999.000999... TokenB.
+            // with 1000:1000 reserves would yield (1 * 1000) / (1000 + 1) = 0.999000999... TokenB.
             // The expectation uses `closeTo` to account for potential minor floating-point differences.
             const amountOut = await simpleSwap.getAmountOut(
                 ethers.parseEther("1"), // amountIn: Amount of input tokens
@@ -430,6 +431,10 @@ describe("SimpleSwap", function () {
                 ethers.parseEther("0.999"), // Expected value (approximate)
                 ethers.parseEther("0.001") // Delta (tolerance) for the comparison
             );
+            // And to match the dApp's quote for the same inputs to the wei.
+            expect(amountOut).to.equal(
+                getAmountOut(ethers.parseEther("1"), ethers.parseEther("1000"), ethers.parseEther("1000"))
+            );
         });
     });
 });
\ No newline at end of file
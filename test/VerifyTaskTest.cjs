@@ -0,0 +1,52 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { decodeJournalValue } = require("../scripts/ignition.cjs");
+const { captureLogs } = require("./helpers.cjs");
+
+describe("Verification task", function () {
+    const SEPOLIA_POOL = "0x2Ae790cdf28f0e7373865B42e7D1E04017F4A856";
+    const SEPOLIA_TOKEN_A = "0xf0c9cB1cc7bA04F96e9Eca5EAF56DCb8c280304f";
+    const SEPOLIA_TOKEN_B = "0x3d725d3c8264bc1927762caCb39EE6E097a170bA";
+
+    const logs = captureLogs();
+
+    // Plans the verification of a checked-in deployment without contacting the explorer
+    function dryRun(deploymentId, json = true) {
+        return hre.run("stack:verify", { deploymentId, dryRun: true, json });
+    }
+
+    it("Should plan every contract of the local deployment with its journal constructor args", async () => {
+        const { contracts } = await dryRun("chain-31337");
+
+        expect(contracts.map((item) => item.futureId)).to.deep.equal(["TokenA#TokenA", "TokenB#TokenB", "SimpleSwapModule#SimpleSwap"]);
+        expect(contracts[0]).to.include({ contract: "contracts/TokenA.sol:TokenA", status: "planned" });
+        expect(contracts[2].constructorArguments).to.deep.equal([contracts[0].address, contracts[1].address]);
+    });
+
+    it("Should add the Sepolia tokens recovered from the pool constructor", async () => {
+        const result = await dryRun("chain-11155111");
+
+        expect(result.dryRun).to.equal(true);
+        expect(result.contracts.map((item) => [item.contract.split(":")[1], item.address, item.constructorArguments])).to.deep.equal([
+            ["SimpleSwap", SEPOLIA_POOL, [SEPOLIA_TOKEN_A, SEPOLIA_TOKEN_B]],
+            ["TokenA", SEPOLIA_TOKEN_A, []],
+            ["TokenB", SEPOLIA_TOKEN_B, []],
+        ]);
+        expect(JSON.parse(logs.join("\n"))).to.deep.equal(result);
+    });
+
+    it("Should print one line per planned call", async () => {
+        await dryRun("chain-11155111", false);
+
+        expect(logs).to.deep.equal([
+            `SimpleSwap ${SEPOLIA_POOL} planned [${SEPOLIA_TOKEN_A}, ${SEPOLIA_TOKEN_B}]`,
+            `TokenA ${SEPOLIA_TOKEN_A} planned`,
+            `TokenB ${SEPOLIA_TOKEN_B} planned`,
+        ]);
+    });
+
+    it("Should decode serialized journal values and reject missing deployments", async () => {
+        expect(decodeJournalValue([{ _kind: "bigint", value: "10" }, { to: "0x01" }])).to.deep.equal([10n, { to: "0x01" }]);
+        await expect(dryRun("missing")).to.be.rejectedWith("No Ignition deployment in ignition/deployments/missing to verify");
+    });
+});
@@ -0,0 +1,46 @@
+const { ethers } = require("hardhat");
+
+// Helpers shared by the test suites.
+
+// Deploys both tokens and an empty pool; the owner (first account) holds the whole supply.
+// Suites that need more build on it in their own fixture.
+async function deployPool() {
+    const [owner, user1, user2] = await ethers.getSigners();
+    const tokenA = await (await ethers.getContractFactory("TokenA")).deploy();
+    const tokenB = await (await ethers.getContractFactory("TokenB")).deploy();
+    const simpleSwap = await (await ethers.getContractFactory("SimpleSwap")).deploy(
+        await tokenA.getAddress(),
+        await tokenB.getAddress()
+    );
+    return {
+        owner,
+        user1,
+        user2,
+        tokenA,
+        tokenB,
+        simpleSwap,
+        pool: await simpleSwap.getAddress(),
+        addresses: [await tokenA.getAddress(), await tokenB.getAddress()],
+    };
+}
+
+// Captures console.log during each test of the enclosing describe block, for tasks that print
+// their results. Returns the array the current test's lines are collected in.
+function captureLogs() {
+    const logs = [];
+    let originalLog;
+
+    beforeEach(() => {
+        logs.length = 0;
+        originalLog = console.log;
+        console.log = (...line) => logs.push(line.join(" "));
+    });
+
+    afterEach(() => {
+        console.log = originalLog;
+    });
+
+    return logs;
+}
+
+module.exports = { deployPool, captureLogs };